@@ -1,115 +1,98 @@
 // Enhanced Serverless API route: POST /api/chat
-// Uses Google Generative Language API (Gemini 1.5 Flash) with dynamic web scraping and RAG
+// Uses the configured chat model (Gemini 1.5 Flash by default) with dynamic web scraping and RAG
 // Implements Retrieval-Augmented Generation for better portfolio-specific responses
 
 const cheerio = require('cheerio');
+const { createEmbeddingProviderFromEnv, createLocalEmbeddingProvider } = require('../lib/embeddings');
+const { createVectorStore } = require('../lib/vector-store');
+const { rewriteQuery } = require('../lib/query-rewriter');
+const { assembleContext } = require('../lib/context-assembler');
+const { finishReply } = require('../lib/finish-reasons');
+const { createChatProviderFromEnv } = require('../lib/llm');
+const { createCircuitBreaker, degradedAnswer } = require('../lib/resilience');
+const { createDeadline, isDeadlineError, timeoutSignal, ANSWER_RESERVE_MS, QUERY_STAGE_TIMEOUT_MS } = require('../lib/deadline');
+const { selectWithMMR } = require('../lib/mmr');
+const { getConfig, extractSections, sectionList } = require('../lib/config');
+const { createSnapshotStore, snapshotInfo } = require('../lib/snapshot');
+const { createCacheManager } = require('../lib/cache-manager');
+const { createHealthMonitor, assertScrapeHealthy } = require('../lib/scrape-health');
 
 const SYSTEM_PROMPT = `You are "Ahmed's Assistant", the official chatbot for Ahmed Hazem Elabady's portfolio (Junior Data Scientist, Cairo, Egypt).
-Only answer questions about Ahmed's portfolio: about, skills, experience, education, projects, certificates, and contact.
+Only answer questions about Ahmed's portfolio: ${sectionList()}.
 If a question is unrelated, politely decline and steer back to the portfolio.
 When answering, use the provided context from the portfolio. If some detail isn't present, say you don't have that info and suggest checking relevant sections.
 Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.`;
 
-// Cache for scraped content and embeddings
-let portfolioCache = {
-  content: null,
-  chunks: null,
-  embeddings: null,
-  lastUpdated: null
-};
-
 // Cache duration: 1 hour
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Scraped content, chunks and embeddings: one shared refresh at a time, and stale content is
+// served while it runs
+const portfolioCache = createCacheManager({ name: 'Portfolio cache', ttlMs: CACHE_DURATION, load: buildCache });
+
+// This handler has always embedded with OpenAI (text-embedding-3-small): keep that as its default so
+// existing deployments and vector stores are unaffected; EMBEDDING_PROVIDER still overrides it
+const EMBEDDING_ENV = { ...process.env, EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai' };
+
+// Number of retrieved candidates handed to MMR re-ranking
+const CANDIDATE_POOL = 20;
+
+// Portfolio sources, sections and selectors (see portfolio.config.json)
+const config = getConfig();
+
+// Versioned knowledge snapshots, served when scraping fails (see SNAPSHOT_DIR)
+const snapshots = createSnapshotStore({ namespace: 'chat-enhanced' });
+
+// Scrape health checks (missing, tiny or shrunk sections); a failed check keeps the previous snapshot
+const scrapeHealth = createHealthMonitor();
+
+// Counts failed LLM requests across invocations; while open, replies are served without the LLM
+const llmBreaker = createCircuitBreaker();
+
+// Query rewriting and history summaries fall back to heuristics, so their failures are counted
+// apart and never open the circuit for answers
+const helperBreaker = createCircuitBreaker();
+
+// Persistent embeddings keyed by chunk content hash (see VECTOR_STORE_PATH)
+const vectorStore = createVectorStore({ name: 'chat-enhanced' });
+
 /**
  * Scrape content from Ahmed's portfolio website
+ * Runs as the shared cache refresh, so the page fetch only has its own timeout (FETCH_TIMEOUT_MS).
  */
 async function scrapePortfolio() {
   const fetch = (await import('node-fetch')).default;
-  const baseUrl = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+  const { baseUrl } = config;
   
   try {
     console.log('Scraping portfolio content...');
-    const response = await fetch(baseUrl);
+    const response = await fetch(baseUrl, { signal: timeoutSignal() });
     const html = await response.text();
     const $ = cheerio.load(html);
     
-    // Extract structured content
-    const content = {
-      about: '',
-      skills: '',
-      experience: '',
-      education: '',
-      projects: '',
-      certificates: '',
-      contact: ''
-    };
+    // Configured sections plus page-wide text as fallback
+    const { sections: content, fullContent: mainContent } = extractSections($, config);
     
-    // Extract About section
-    const aboutSection = $('#about');
-    if (aboutSection.length) {
-      content.about = aboutSection.text().trim();
-    }
+    // Selector drift check before anything is indexed or saved
+    await assertScrapeHealthy(content, config, { snapshots, monitor: scrapeHealth });
     
-    // Extract Skills section
-    const skillsSection = $('#skills');
-    if (skillsSection.length) {
-      content.skills = skillsSection.text().trim();
-    }
-    
-    // Extract Experience section
-    const experienceSection = $('#experience');
-    if (experienceSection.length) {
-      content.experience = experienceSection.text().trim();
-    }
-    
-    // Extract Education section
-    const educationSection = $('#education');
-    if (educationSection.length) {
-      content.education = educationSection.text().trim();
-    }
-    
-    // Extract Projects section
-    const projectsSection = $('#projects');
-    if (projectsSection.length) {
-      content.projects = projectsSection.text().trim();
-    }
-    
-    // Extract Certificates section
-    const certificatesSection = $('#certificates');
-    if (certificatesSection.length) {
-      content.certificates = certificatesSection.text().trim();
-    }
-    
-    // Extract Contact section
-    const contactSection = $('#contact');
-    if (contactSection.length) {
-      content.contact = contactSection.text().trim();
-    }
-    
-    // Also extract general content as fallback
-    const mainContent = $('main, .container, body').first().text().trim();
+    const snapshot = await snapshots.save({ sections: content, fullContent: mainContent, sourceUrl: baseUrl });
     
     return {
       structured: content,
       fullContent: mainContent,
+      snapshot: snapshotInfo(snapshot, 'live'),
       timestamp: Date.now()
     };
     
   } catch (error) {
     console.error('Error scraping portfolio:', error);
-    // Fallback to static content
+    // Fall back to the latest saved snapshot, or the bundled seed
+    const { snapshot, source } = await snapshots.loadFallback();
     return {
-      structured: {
-        about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-        skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-        experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI",
-        education: "B.Sc. Computer Science and Artificial Intelligence at Benha Faculty",
-        projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-        certificates: "NVIDIA Deep Learning, ITIDA Innovation",
-        contact: "ahmed.hazem.elabady@gmail.com, +20 127 5012 177"
-      },
-      fullContent: "Ahmed Hazem Elabady portfolio content",
+      structured: snapshot.sections,
+      fullContent: snapshot.fullContent,
+      snapshot: snapshotInfo(snapshot, source),
       timestamp: Date.now()
     };
   }
@@ -160,45 +143,30 @@ function splitText(text, chunkSize, overlap) {
       chunks.push(chunk.trim());
     }
     
+    // The last chunk reached the end; stepping back by the overlap would repeat it forever
+    if (end === text.length) break;
     start = end - overlap;
-    if (start >= text.length) break;
   }
   
   return chunks;
 }
 
 /**
- * Generate embeddings using OpenAI's text-embedding-3-small model
+ * Generate embeddings with the configured provider (EMBEDDING_PROVIDER, openai by default here),
+ * falling back to the offline local provider. Only chunks missing from the vector store are sent to the API.
+ * Returns { embeddings, provider }: queries must be embedded by the same provider.
  */
-async function generateEmbeddings(chunks, apiKey) {
-  const fetch = (await import('node-fetch')).default;
-  
+async function generateEmbeddings(chunks) {
   try {
-    const texts = chunks.map(chunk => chunk.content);
-    
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        input: texts,
-        model: 'text-embedding-3-small'
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.data.map(item => item.embedding);
+    const provider = createEmbeddingProviderFromEnv(EMBEDDING_ENV);
+    const { embeddings, stats } = await vectorStore.embedChunks(chunks, provider);
+    console.log(`Embeddings ready: ${stats.reused} reused, ${stats.embedded} newly embedded`);
+    return { embeddings, provider };
     
   } catch (error) {
-    console.error('Error generating embeddings:', error);
-    // Return dummy embeddings as fallback
-    return chunks.map(() => new Array(1536).fill(0));
+    console.warn('Embeddings failed, using local embeddings:', error.message);
+    const provider = createLocalEmbeddingProvider();
+    return { embeddings: await provider.embedDocuments(chunks.map(chunk => chunk.content)), provider };
   }
 }
 
@@ -216,35 +184,18 @@ function cosineSimilarity(vecA, vecB) {
     normB += vecB[i] * vecB[i];
   }
   
+  // A zero vector matches nothing (and would divide by zero)
+  if (normA === 0 || normB === 0) return 0;
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
 /**
  * Find relevant chunks based on query similarity
  */
-async function findRelevantChunks(query, chunks, embeddings, openaiApiKey, topK = 3) {
-  const fetch = (await import('node-fetch')).default;
-  
+async function findRelevantChunks(query, chunks, embeddings, provider, topK = 3, signal = null) {
   try {
     // Generate embedding for the query
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        input: query,
-        model: 'text-embedding-3-small'
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const queryEmbedding = data.data[0].embedding;
+    const queryEmbedding = await provider.embedQuery(query, { signal });
     
     // Calculate similarities and get top chunks
     const similarities = embeddings.map((embedding, index) => ({
@@ -268,6 +219,31 @@ async function findRelevantChunks(query, chunks, embeddings, openaiApiKey, topK
   }
 }
 
+/**
+ * Scrape the portfolio, split it into chunks and embed them (EMBEDDING_PROVIDER)
+ */
+async function buildCache() {
+  const now = Date.now();
+  
+  // Scrape fresh content
+  const scrapedContent = await scrapePortfolio();
+  
+  // Split into chunks
+  const chunks = splitIntoChunks(scrapedContent);
+  
+  // Generate embeddings (falls back to the local provider)
+  const { embeddings, provider } = await generateEmbeddings(chunks);
+  
+  console.log(`Portfolio content cached with ${chunks.length} chunks`);
+  return {
+    content: scrapedContent,
+    chunks: chunks,
+    embeddings: embeddings,
+    embeddingProvider: provider,
+    lastUpdated: now
+  };
+}
+
 module.exports = async function handler(req, res) {
   // CORS headers
   const allowedOrigins = [
@@ -302,55 +278,54 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Missing "message" string' });
     }
     
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with GEMINI_API_KEY' });
-    }
-    
-    if (!openaiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with OPENAI_API_KEY' });
+    // Chat model selected by LLM_PROVIDER (embeddings come with the cached portfolio)
+    let llm;
+    let helperLlm;
+    try {
+      llm = createChatProviderFromEnv(process.env, { breaker: llmBreaker });
+      helperLlm = createChatProviderFromEnv(process.env, { breaker: helperBreaker });
+    } catch (error) {
+      return res.status(500).json({ error: `Server is not configured: ${error.message}` });
     }
 
-    // Check cache validity
+    // Time budget for this request (REQUEST_DEADLINE_MS); every stage below runs within it
+    const deadline = createDeadline();
+
+    // Cached portfolio: fresh or stale content right away (stale starts a background refresh);
+    // a cold cache waits for the shared warm-up, keeping enough of the budget to answer
     const now = Date.now();
-    const cacheValid = portfolioCache.content && 
-                      portfolioCache.lastUpdated && 
-                      (now - portfolioCache.lastUpdated) < CACHE_DURATION;
-
-    if (!cacheValid) {
-      console.log('Cache invalid, refreshing portfolio content...');
-      
-      // Scrape fresh content
-      const scrapedContent = await scrapePortfolio();
-      
-      // Split into chunks
-      const chunks = splitIntoChunks(scrapedContent);
-      
-      // Generate embeddings
-      const embeddings = await generateEmbeddings(chunks, openaiApiKey);
-      
-      // Update cache
-      portfolioCache = {
-        content: scrapedContent,
-        chunks: chunks,
-        embeddings: embeddings,
-        lastUpdated: now
-      };
-      
-      console.log(`Portfolio content cached with ${chunks.length} chunks`);
+    let portfolio;
+    try {
+      portfolio = await deadline.within(portfolioCache.get(), { reserveMs: ANSWER_RESERVE_MS, stage: 'warm-up' });
+    } catch (error) {
+      if (!isDeadlineError(error)) throw error;
+      // Nothing to answer from yet: reply now rather than be cut off by the platform
+      console.warn(`⏱️ ${error.message}, nothing cached to answer from`);
+      const { reply, degraded } = degradedAnswer(error, '');
+      return res.status(200).json({ reply, degraded: true, debug: { degraded } });
     }
 
-    // Find relevant content chunks for the user's query
-    const relevantChunks = await findRelevantChunks(
-      message, 
-      portfolioCache.chunks, 
-      portfolioCache.embeddings, 
-      openaiApiKey,
-      3 // Get top 3 most relevant chunks
+    // Rewrite follow-ups into a standalone question for retrieval
+    const rewritten = await rewriteQuery(message, history, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
+
+    // Find candidate chunks for the user's query, embedded by the provider that embedded the chunks
+    const retrieved = await findRelevantChunks(
+      rewritten.query, 
+      portfolio.chunks, 
+      portfolio.embeddings, 
+      portfolio.embeddingProvider,
+      CANDIDATE_POOL,
+      deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
     );
 
+    // Re-rank for diversity (drops 'general' duplicates of section text) within the token budget
+    const { selected: relevantChunks, tokensUsed } = selectWithMMR(retrieved, {
+      vectors: portfolio.embeddings
+    });
+
     // Prepare context from relevant chunks
     const contextParts = relevantChunks.map(item => 
       `[${item.chunk.section}]: ${item.chunk.content}`
@@ -359,49 +334,54 @@ module.exports = async function handler(req, res) {
 
     console.log(`Using ${relevantChunks.length} relevant chunks for context`);
 
-    // Use dynamic import for fetch
-    const fetch = (await import('node-fetch')).default;
-
-    // Prepare Gemini API request with RAG context
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    const payload = {
-      systemInstruction: { role: 'system', parts: [{ text: SYSTEM_PROMPT }] },
-      contents: [
-        { role: 'user', parts: [{ text: `Relevant portfolio context:\n${retrievedContext}` }] },
-        // Include previous chat history if available
-        ...(history || []).map(entry => ({
-          role: entry.role === 'user' ? 'user' : 'model',
-          parts: [{ text: entry.parts[0].text }]
-        })),
-        { role: 'user', parts: [{ text: `User question: ${message}` }] }
-      ]
-    };
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify(payload)
+    // Prompt within the token budget: latest turns verbatim, older ones folded into a summary
+    const { messages, budget } = await assembleContext({
+      system: SYSTEM_PROMPT,
+      context: `Relevant portfolio context:\n${retrievedContext}`,
+      history,
+      question: `User question: ${message}`
+    }, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Gemini API error', response.status, errorText);
-      return res.status(502).json({ error: 'Gemini API error', status: response.status });
-    }
+    // Prepare the chat request
+    const chatRequest = {
+      system: SYSTEM_PROMPT,
+      messages,
+      signal: deadline.signal
+    };
     
-    const data = await response.json();
-    const candidates = data?.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const reply = parts.map(p => p.text || '').join('\n').trim();
+    // Upstream failures (after retries and fallback models) and an open circuit get a degraded
+    // answer built from the retrieved context instead of an error
+    let reply;
+    let model = llm.model;
+    let degraded = null;
+    let finishReason = null;
+    try {
+      const result = await llm.generate(chatRequest);
+      // Blocked, truncated or empty replies get a notice in the user's language
+      ({ reply, finishReason } = finishReply(result, message));
+      model = result.model;
+    } catch (error) {
+      console.error(`${llm.name} API error`, error.status || error.code || '', error.body || error.message);
+      ({ reply, degraded } = degradedAnswer(error, retrievedContext));
+    }
     
     return res.status(200).json({ 
       reply,
+      degraded: Boolean(degraded),
+      finishReason,
       debug: {
         chunksUsed: relevantChunks.length,
-        cacheAge: Math.round((now - portfolioCache.lastUpdated) / 1000 / 60) // minutes
+        contextTokens: tokensUsed,
+        cacheAge: Math.round((now - portfolio.lastUpdated) / 1000 / 60), // minutes
+        model: `${llm.name}:${model}`,
+        degraded,
+        snapshot: portfolio.content.snapshot,
+        rewrittenQuery: rewritten.query,
+        rewriteMethod: rewritten.method,
+        budget
       }
     });
     
@@ -2,64 +2,83 @@
 // This version still provides enhanced web scraping but falls back to simpler content matching
 
 const cheerio = require('cheerio');
+const { tokenize } = require('../lib/text');
+const { rewriteQuery } = require('../lib/query-rewriter');
+const { assembleContext } = require('../lib/context-assembler');
+const { finishReply } = require('../lib/finish-reasons');
+const { createChatProviderFromEnv } = require('../lib/llm');
+const { createCircuitBreaker, degradedAnswer } = require('../lib/resilience');
+const { createDeadline, isDeadlineError, timeoutSignal, ANSWER_RESERVE_MS, QUERY_STAGE_TIMEOUT_MS } = require('../lib/deadline');
+const { getConfig, extractSections, sectionList } = require('../lib/config');
+const { createSnapshotStore, snapshotInfo } = require('../lib/snapshot');
+const { createCacheManager } = require('../lib/cache-manager');
+const { createHealthMonitor, assertScrapeHealthy } = require('../lib/scrape-health');
 
 const SYSTEM_PROMPT = `You are "Ahmed's Assistant", the official chatbot for Ahmed Hazem Elabady's portfolio (Junior Data Scientist, Cairo, Egypt).
-Only answer questions about Ahmed's portfolio: about, skills, experience, education, projects, certificates, and contact.
+Only answer questions about Ahmed's portfolio: ${sectionList()}.
 If a question is unrelated, politely decline and steer back to the portfolio.
 When answering, use the provided context from the portfolio. If some detail isn't present, say you don't have that info and suggest checking relevant sections.
 Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.`;
 
-// Cache for scraped content
-let portfolioCache = {
-  content: null,
-  lastUpdated: null
-};
-
 // Cache duration: 1 hour
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Scraped content: one shared refresh at a time, and stale content is served while it runs
+const portfolioCache = createCacheManager({ name: 'Portfolio cache', ttlMs: CACHE_DURATION, load: buildCache });
+
+// Portfolio sources, sections and selectors (see portfolio.config.json)
+const config = getConfig();
+
+// Versioned knowledge snapshots, served when scraping fails (see SNAPSHOT_DIR)
+const snapshots = createSnapshotStore({ namespace: 'chat-fallback' });
+
+// Scrape health checks (missing, tiny or shrunk sections); a failed check keeps the previous snapshot
+const scrapeHealth = createHealthMonitor();
+
+// Counts failed LLM requests across invocations; while open, replies are served without the LLM
+const llmBreaker = createCircuitBreaker();
+
+// Query rewriting and history summaries fall back to heuristics, so their failures are counted
+// apart and never open the circuit for answers
+const helperBreaker = createCircuitBreaker();
+
 /**
  * Scrape content from Ahmed's portfolio website
+ * Runs as the shared cache refresh, so the page fetch only has its own timeout (FETCH_TIMEOUT_MS).
  */
 async function scrapePortfolio() {
   const fetch = (await import('node-fetch')).default;
-  const baseUrl = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+  const { baseUrl } = config;
   
   try {
     console.log('Scraping portfolio content...');
-    const response = await fetch(baseUrl);
+    const response = await fetch(baseUrl, { signal: timeoutSignal() });
     const html = await response.text();
     const $ = cheerio.load(html);
     
-    // Extract structured content
-    const content = {
-      about: $('#about').text().trim() || '',
-      skills: $('#skills').text().trim() || '',
-      experience: $('#experience').text().trim() || '',
-      education: $('#education').text().trim() || '',
-      projects: $('#projects').text().trim() || '',
-      certificates: $('#certificates').text().trim() || '',
-      contact: $('#contact').text().trim() || '',
-      fullContent: $('main, .container, body').first().text().trim()
-    };
+    // Extract the configured sections
+    const { sections, fullContent } = extractSections($, config);
+    
+    // Selector drift check before anything is indexed or saved
+    await assertScrapeHealthy(sections, config, { snapshots, monitor: scrapeHealth });
+    
+    const snapshot = await snapshots.save({ sections, fullContent, sourceUrl: baseUrl });
     
     return {
-      ...content,
+      ...sections,
+      fullContent,
+      snapshot: snapshotInfo(snapshot, 'live'),
       timestamp: Date.now()
     };
     
   } catch (error) {
     console.error('Error scraping portfolio:', error);
-    // Fallback to static content
+    // Fall back to the latest saved snapshot, or the bundled seed
+    const { snapshot, source } = await snapshots.loadFallback();
     return {
-      about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-      skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-      experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI",
-      education: "B.Sc. Computer Science and Artificial Intelligence at Benha Faculty",
-      projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-      certificates: "NVIDIA Deep Learning, ITIDA Innovation",
-      contact: "ahmed.hazem.elabady@gmail.com, +20 127 5012 177",
-      fullContent: "Ahmed Hazem Elabady portfolio content",
+      ...snapshot.sections,
+      fullContent: snapshot.fullContent,
+      snapshot: snapshotInfo(snapshot, source),
       timestamp: Date.now()
     };
   }
@@ -69,24 +88,13 @@ async function scrapePortfolio() {
  * Simple keyword-based content matching
  */
 function findRelevantContent(query, content) {
-  const queryLower = query.toLowerCase();
-  const sections = ['about', 'skills', 'experience', 'education', 'projects', 'certificates', 'contact'];
+  const queryTerms = new Set(tokenize(query, { removeStopwords: false }));
   const relevantSections = [];
   
-  // Check which sections are most relevant based on keywords
-  const sectionKeywords = {
-    about: ['about', 'who', 'background', 'summary', 'profile', 'bio'],
-    skills: ['skills', 'technologies', 'tools', 'programming', 'languages', 'frameworks'],
-    experience: ['experience', 'work', 'job', 'position', 'role', 'career', 'employment'],
-    education: ['education', 'university', 'degree', 'study', 'academic', 'college'],
-    projects: ['projects', 'portfolio', 'work', 'built', 'developed', 'created', 'github'],
-    certificates: ['certificates', 'certifications', 'achievements', 'credentials', 'awards'],
-    contact: ['contact', 'email', 'phone', 'linkedin', 'reach', 'connect', 'social']
-  };
-  
-  // Find relevant sections based on keywords
-  for (const [section, keywords] of Object.entries(sectionKeywords)) {
-    const hasMatch = keywords.some(keyword => queryLower.includes(keyword));
+  // Find relevant sections based on normalized English/Arabic keywords
+  for (const { name: section, keywords } of config.sections) {
+    const keywordTerms = tokenize(keywords.join(' '), { removeStopwords: false });
+    const hasMatch = keywordTerms.some(term => queryTerms.has(term));
     if (hasMatch && content[section]) {
       relevantSections.push({
         section,
@@ -98,7 +106,7 @@ function findRelevantContent(query, content) {
   // If no specific section matches, use general content
   if (relevantSections.length === 0) {
     // Return sections that have content
-    for (const section of sections) {
+    for (const { name: section } of config.sections) {
       if (content[section] && content[section].length > 0) {
         relevantSections.push({
           section,
@@ -111,6 +119,20 @@ function findRelevantContent(query, content) {
   return relevantSections.slice(0, 3); // Return top 3 sections
 }
 
+/**
+ * Scrape the portfolio (a failed scrape serves the fallback snapshot)
+ */
+async function buildCache() {
+  const now = Date.now();
+  const scrapedContent = await scrapePortfolio();
+  console.log('Portfolio content cached');
+  
+  return {
+    content: scrapedContent,
+    lastUpdated: now
+  };
+}
+
 module.exports = async function handler(req, res) {
   // CORS headers
   const allowedOrigins = [
@@ -145,29 +167,41 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Missing "message" string' });
     }
     
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with GEMINI_API_KEY' });
+    // Chat model selected by LLM_PROVIDER (gemini, openai-compatible or mock)
+    let llm;
+    let helperLlm;
+    try {
+      llm = createChatProviderFromEnv(process.env, { breaker: llmBreaker });
+      helperLlm = createChatProviderFromEnv(process.env, { breaker: helperBreaker });
+    } catch (error) {
+      return res.status(500).json({ error: `Server is not configured: ${error.message}` });
     }
 
-    // Check cache validity
+    // Time budget for this request (REQUEST_DEADLINE_MS); every stage below runs within it
+    const deadline = createDeadline();
+
+    // Cached portfolio: fresh or stale content right away (stale starts a background refresh);
+    // a cold cache waits for the shared warm-up, keeping enough of the budget to answer
     const now = Date.now();
-    const cacheValid = portfolioCache.content && 
-                      portfolioCache.lastUpdated && 
-                      (now - portfolioCache.lastUpdated) < CACHE_DURATION;
-
-    if (!cacheValid) {
-      console.log('Cache invalid, refreshing portfolio content...');
-      const scrapedContent = await scrapePortfolio();
-      portfolioCache = {
-        content: scrapedContent,
-        lastUpdated: now
-      };
-      console.log('Portfolio content cached');
+    let portfolio;
+    try {
+      portfolio = await deadline.within(portfolioCache.get(), { reserveMs: ANSWER_RESERVE_MS, stage: 'warm-up' });
+    } catch (error) {
+      if (!isDeadlineError(error)) throw error;
+      // Nothing to answer from yet: reply now rather than be cut off by the platform
+      console.warn(`⏱️ ${error.message}, nothing cached to answer from`);
+      const { reply, degraded } = degradedAnswer(error, '');
+      return res.status(200).json({ reply, degraded: true, debug: { degraded } });
     }
 
+    // Rewrite follow-ups into a standalone question for retrieval
+    const rewritten = await rewriteQuery(message, history, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
+
     // Find relevant content using simple keyword matching
-    const relevantContent = findRelevantContent(message, portfolioCache.content);
+    const relevantContent = findRelevantContent(rewritten.query, portfolio.content);
     
     // Prepare context from relevant content
     const contextParts = relevantContent.map(item => 
@@ -177,50 +211,54 @@ module.exports = async function handler(req, res) {
 
     console.log(`Using ${relevantContent.length} relevant sections for context`);
 
-    // Use dynamic import for fetch
-    const fetch = (await import('node-fetch')).default;
-
-    // Prepare Gemini API request
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    const payload = {
-      systemInstruction: { role: 'system', parts: [{ text: SYSTEM_PROMPT }] },
-      contents: [
-        { role: 'user', parts: [{ text: `Relevant portfolio context:\n${retrievedContext}` }] },
-        // Include previous chat history if available
-        ...(history || []).map(entry => ({
-          role: entry.role === 'user' ? 'user' : 'model',
-          parts: [{ text: entry.parts[0].text }]
-        })),
-        { role: 'user', parts: [{ text: `User question: ${message}` }] }
-      ]
-    };
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify(payload)
+    // Prompt within the token budget: latest turns verbatim, older ones folded into a summary
+    const { messages, budget } = await assembleContext({
+      system: SYSTEM_PROMPT,
+      context: `Relevant portfolio context:\n${retrievedContext}`,
+      history,
+      question: `User question: ${message}`
+    }, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Gemini API error', response.status, errorText);
-      return res.status(502).json({ error: 'Gemini API error', status: response.status });
-    }
+    // Prepare the chat request
+    const chatRequest = {
+      system: SYSTEM_PROMPT,
+      messages,
+      signal: deadline.signal
+    };
     
-    const data = await response.json();
-    const candidates = data?.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const reply = parts.map(p => p.text || '').join('\n').trim();
+    // Upstream failures (after retries and fallback models) and an open circuit get a degraded
+    // answer built from the retrieved context instead of an error
+    let reply;
+    let model = llm.model;
+    let degraded = null;
+    let finishReason = null;
+    try {
+      const result = await llm.generate(chatRequest);
+      // Blocked, truncated or empty replies get a notice in the user's language
+      ({ reply, finishReason } = finishReply(result, message));
+      model = result.model;
+    } catch (error) {
+      console.error(`${llm.name} API error`, error.status || error.code || '', error.body || error.message);
+      ({ reply, degraded } = degradedAnswer(error, retrievedContext));
+    }
     
     return res.status(200).json({ 
       reply,
+      degraded: Boolean(degraded),
+      finishReason,
       debug: {
         sectionsUsed: relevantContent.length,
-        cacheAge: Math.round((now - portfolioCache.lastUpdated) / 1000 / 60), // minutes
-        fallbackMode: true
+        cacheAge: Math.round((now - portfolio.lastUpdated) / 1000 / 60), // minutes
+        model: `${llm.name}:${model}`,
+        degraded,
+        snapshot: portfolio.content.snapshot,
+        fallbackMode: true,
+        rewrittenQuery: rewritten.query,
+        rewriteMethod: rewritten.method,
+        budget
       }
     });
     
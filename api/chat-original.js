@@ -1,368 +1,355 @@
 // Enhanced Serverless API route: POST /api/chat
-// Uses Google Generative Language API (Gemini 1.5 Flash) with dynamic web scraping and RAG
+// Uses the configured chat model (Gemini 1.5 Flash by default) with dynamic web scraping and RAG
 // Implements Retrieval-Augmented Generation for better portfolio-specific responses
 
-const cheerio = require('cheerio');
+const { buildIndex, searchIndex } = require('../lib/bm25');
+const { reciprocalRankFusion } = require('../lib/fusion');
+const { chunkSection, chunkText, DEFAULT_MAX_TOKENS } = require('../lib/chunker');
+const { extractEntities, chunkEntities } = require('../lib/extractor');
+const { crawlSite, chunkPages, PAGE_SECTION } = require('../lib/crawler');
+const { getConfig, extractSections, sectionList } = require('../lib/config');
+const { loadGitHubRepos, chunkRepos } = require('../lib/github');
+const { loadResume, chunkResume } = require('../lib/resume');
+const { hashChunks, buildChangeReport, createChangeLog } = require('../lib/change-detector');
+const { createSnapshotStore, snapshotInfo } = require('../lib/snapshot');
+const { createCacheManager } = require('../lib/cache-manager');
+const { createHealthMonitor, assertScrapeHealthy } = require('../lib/scrape-health');
+const { createEmbeddingProviderFromEnv, createLocalEmbeddingProvider } = require('../lib/embeddings');
+const { createVectorStore } = require('../lib/vector-store');
+const { rewriteQuery } = require('../lib/query-rewriter');
+const { assembleContext } = require('../lib/context-assembler');
+const { finishReply } = require('../lib/finish-reasons');
+const { createChatProviderFromEnv } = require('../lib/llm');
+const { createCircuitBreaker, degradedAnswer } = require('../lib/resilience');
+const { createDeadline, isDeadlineError, ANSWER_RESERVE_MS, QUERY_STAGE_TIMEOUT_MS } = require('../lib/deadline');
+const { selectWithMMR } = require('../lib/mmr');
+const { buildCitations, CITATION_INSTRUCTIONS } = require('../lib/citations');
 
 const SYSTEM_PROMPT = `You are "Ahmed's Assistant", the official chatbot for Ahmed Hazem Elabady's portfolio (Junior Data Scientist, Cairo, Egypt).
-Only answer questions about Ahmed's portfolio: about, skills, experience, education, projects, certificates, and contact.
+Only answer questions about Ahmed's portfolio: ${sectionList()}.
 If a question is unrelated, politely decline and steer back to the portfolio.
 When answering, use the provided context from the portfolio. If some detail isn't present, say you don't have that info and suggest checking relevant sections.
-Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.`;
-
-// Cache for scraped content and embeddings
-let portfolioCache = {
-  content: null,
-  chunks: null,
-  embeddings: null,
-  lastUpdated: null,
-  isWarmingUp: false
-};
+Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.
+${CITATION_INSTRUCTIONS}`;
 
 // Cache duration: 1 hour
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Scraped content, chunks, index and embeddings: one shared refresh at a time, and stale content
+// is served while it runs
+const portfolioCache = createCacheManager({ name: 'Portfolio cache', ttlMs: CACHE_DURATION, load: loadCache });
+
+// GitHub repo data changes rarely and the API is rate limited: refresh it every 6 hours
+const GITHUB_CACHE_DURATION = 6 * 60 * 60 * 1000;
+
+// Embedding provider: 'gemini' (default), 'openai' (or any OpenAI-compatible server) or 'local' (offline hashed n-grams)
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'gemini';
+
+// Persistent embeddings keyed by chunk content hash (see VECTOR_STORE_PATH)
+const vectorStore = createVectorStore({ name: 'chat-original' });
+
+// Recent change reports from cache refreshes, served on GET /changes
+const changeLog = createChangeLog();
+
+// Versioned knowledge snapshots, served when scraping fails (see SNAPSHOT_DIR)
+const snapshots = createSnapshotStore({ namespace: 'chat-original' });
+
+// Scrape health checks (missing, tiny or shrunk sections); a failed check keeps the previous snapshot
+const scrapeHealth = createHealthMonitor();
+
+// Counts failed LLM requests across invocations; while open, replies are served without the LLM
+const llmBreaker = createCircuitBreaker();
+
+// Query rewriting and history summaries fall back to heuristics, so their failures are counted
+// apart and never open the circuit for answers
+const helperBreaker = createCircuitBreaker();
+
+// Retrieval mode: 'hybrid' (embeddings + BM25 fused), 'semantic' or 'keyword'
+const RETRIEVAL_MODE = process.env.RETRIEVAL_MODE || 'hybrid';
+
+// Reciprocal rank fusion weights for hybrid mode
+const HYBRID_WEIGHTS = {
+  semantic: parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT || '1'),
+  keyword: parseFloat(process.env.HYBRID_KEYWORD_WEIGHT || '1')
+};
+const RRF_K = parseInt(process.env.HYBRID_RRF_K || '60', 10);
+
+// Number of retrieved candidates handed to MMR re-ranking
+const CANDIDATE_POOL = 20;
+
+// Portfolio sources, sections and selectors (see portfolio.config.json)
+const config = getConfig();
+const sectionSelectors = Object.fromEntries(config.sections.map(section => [section.name, section.selector]));
+
+// Portfolio sections, priority ones first (they get a retrieval boost)
+const PRIORITY_SECTIONS = config.sections.filter(section => section.priority).map(section => section.name);
+const OTHER_SECTIONS = config.sections.filter(section => !section.priority).map(section => section.name);
+
+// GitHub repositories indexed alongside the portfolio
+const GITHUB_SOURCES = config.sources.filter(source => source.type === 'github');
+
+// Optional resume file (PDF or JSON Resume)
+const RESUME_SOURCE = config.sources.find(source => source.type === 'resume') || null;
+
 /**
- * Warm up the cache by pre-loading portfolio data
+ * Scrape all sources and rebuild chunks, index and embeddings
+ * Pages are fetched conditionally and content is hashed per section; when nothing
+ * changed, the current chunks and embeddings are kept instead of being rebuilt.
  */
-async function warmUpCache(geminiApiKey) {
-  if (portfolioCache.isWarmingUp) {
-    console.log('Cache warm-up already in progress...');
-    return;
+async function buildCache(previous) {
+  const now = Date.now();
+  
+  // Scrape fresh content (unchanged pages answer 304 and reuse their cached HTML)
+  console.log('📊 Scraping portfolio content...');
+  const scrapedContent = await scrapePortfolio(previous?.content?.pages);
+  
+  // Split into chunks, with GitHub READMEs and the resume merged into their sections
+  const { github, resume, sourceChunks } = await loadSourceChunks(scrapedContent, previous);
+  const chunks = splitIntoChunks(scrapedContent, DEFAULT_MAX_TOKENS, sourceChunks);
+  console.log(`📝 Created ${chunks.length} content chunks`);
+  
+  // Compare per-section hashes with the last successful scrape
+  const hashes = hashChunks(chunks);
+  const report = scrapedContent.fallback
+    ? null
+    : buildChangeReport(previous?.hashes || null, hashes, { pages: scrapedContent.pages });
+  if (report) {
+    changeLog.record(report);
   }
+  
+  // Keep the current chunks and embeddings unless they are fallback data or came from the fallback provider
+  const unchanged = report && !report.changed &&
+    !previous?.content?.fallback &&
+    previous?.embeddingProvider?.name === EMBEDDING_PROVIDER;
+  
+  if (unchanged) {
+    console.log('♻️ Portfolio unchanged, keeping existing chunks and embeddings');
+    return {
+      ...previous,
+      content: scrapedContent,
+      github: github,
+      resume: resume,
+      lastUpdated: now
+    };
+  }
+  
+  // Generate embeddings (falls back to the local provider)
+  const { embeddings, provider } = await embedChunks(chunks);
+  
+  return {
+    content: scrapedContent,
+    chunks: chunks,
+    embeddings: embeddings,
+    embeddingProvider: provider,
+    index: buildIndex(chunks),
+    github: github,
+    resume: resume,
+    hashes: report ? hashes : previous?.hashes || null,
+    lastUpdated: now
+  };
+}
 
-  portfolioCache.isWarmingUp = true;
-  console.log('🔥 Starting cache warm-up...');
+/**
+ * Snapshot fallback content, plus whatever GitHub/resume data is already cached
+ */
+async function buildFallbackCache(previous) {
+  const fallbackContent = await loadSnapshotContent();
+  
+  const fallbackChunks = splitIntoChunks(fallbackContent, DEFAULT_MAX_TOKENS, cachedSourceChunks(previous));
+  const localProvider = createLocalEmbeddingProvider();
+  return {
+    content: fallbackContent,
+    chunks: fallbackChunks,
+    embeddings: await localProvider.embedDocuments(fallbackChunks.map(chunk => chunk.content)),
+    embeddingProvider: localProvider,
+    index: buildIndex(fallbackChunks),
+    github: previous?.github || null,
+    resume: previous?.resume || null,
+    hashes: previous?.hashes || null,
+    lastUpdated: Date.now()
+  };
+}
 
+/**
+ * Cache loader: a fresh build, or the fallback snapshot when scraping fails
+ */
+async function loadCache(previous) {
   try {
-    const now = Date.now();
-    
-    // Scrape fresh content
-    console.log('📊 Scraping portfolio content...');
-    const scrapedContent = await scrapePortfolio();
-    
-    // Split into chunks
-    const chunks = splitIntoChunks(scrapedContent);
-    console.log(`📝 Created ${chunks.length} content chunks`);
-    
-    // Generate embeddings
-    let embeddings = [];
-    try {
-      console.log('🧠 Generating embeddings with Gemini...');
-      embeddings = await generateEmbeddings(chunks, geminiApiKey);
-      console.log('✅ Embeddings generated successfully');
-    } catch (embeddingError) {
-      console.warn('⚠️ Failed to generate embeddings, will use keyword matching:', embeddingError.message);
-      embeddings = chunks.map(() => new Array(768).fill(0));
-    }
-    
-    // Update cache
-    portfolioCache = {
-      content: scrapedContent,
-      chunks: chunks,
-      embeddings: embeddings,
-      lastUpdated: now,
-      isWarmingUp: false
-    };
-    
-    console.log(`🎯 Cache warm-up completed! Portfolio ready with ${chunks.length} chunks`);
-    
+    const cache = await buildCache(previous);
+    console.log(`📚 Portfolio indexed: ${cache.chunks.length} chunks`);
+    return cache;
   } catch (error) {
-    console.error('❌ Error during cache warm-up:', error);
-    portfolioCache.isWarmingUp = false;
-    
-    // Set fallback content
-    const fallbackContent = {
-      structured: {
-        about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-        skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-        projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-        experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI"
-      },
-      fullContent: "Ahmed Hazem Elabady portfolio content",
-      timestamp: Date.now()
-    };
-    
-    const fallbackChunks = splitIntoChunks(fallbackContent);
-    portfolioCache = {
-      content: fallbackContent,
-      chunks: fallbackChunks,
-      embeddings: fallbackChunks.map(() => new Array(768).fill(0)),
-      lastUpdated: Date.now(),
-      isWarmingUp: false
-    };
-    
-    console.log('🔄 Using fallback static content');
+    console.error('❌ Error building the portfolio cache:', error);
+    console.log('🔄 Using fallback knowledge snapshot');
+    return buildFallbackCache(previous);
   }
 }
 
 /**
  * Scrape content from Ahmed's portfolio website
  */
-async function scrapePortfolio() {
-  const fetch = (await import('node-fetch')).default;
-  const baseUrl = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+async function scrapePortfolio(previousPages = []) {
+  const { baseUrl } = config;
   
   try {
     console.log('Scraping portfolio content...');
-    const response = await fetch(baseUrl);
-    const html = await response.text();
-    const $ = cheerio.load(html);
-    
-    // Extract structured content
-    const content = {
-      about: '',
-      skills: '',
-      experience: '',
-      education: '',
-      projects: '',
-      certificates: '',
-      contact: ''
-    };
-    
-    // Extract About section
-    const aboutSection = $('#about');
-    if (aboutSection.length) {
-      content.about = aboutSection.text().trim();
-    }
-    
-    // Extract Skills section
-    const skillsSection = $('#skills');
-    if (skillsSection.length) {
-      content.skills = skillsSection.text().trim();
-    }
-    
-    // Extract Experience section
-    const experienceSection = $('#experience');
-    if (experienceSection.length) {
-      content.experience = experienceSection.text().trim();
-    }
+    // The start page holds the sections; linked pages are indexed as extra sources
+    const pages = await crawlSite(baseUrl, { previousPages });
+    const $ = pages[0].$;
     
-    // Extract Education section
-    const educationSection = $('#education');
-    if (educationSection.length) {
-      content.education = educationSection.text().trim();
-    }
+    // Configured sections plus page-wide text as fallback
+    const { sections: content, fullContent: mainContent } = extractSections($, config);
     
-    // Extract Projects section
-    const projectsSection = $('#projects');
-    if (projectsSection.length) {
-      content.projects = projectsSection.text().trim();
-    }
+    // Selector drift check before anything is indexed or saved
+    await assertScrapeHealthy(content, config, { snapshots, monitor: scrapeHealth });
     
-    // Extract Certificates section
-    const certificatesSection = $('#certificates');
-    if (certificatesSection.length) {
-      content.certificates = certificatesSection.text().trim();
-    }
+    // Typed records for projects, experience, education and certificates
+    const entities = extractEntities($, { baseUrl, selectors: sectionSelectors });
     
-    // Extract Contact section
-    const contactSection = $('#contact');
-    if (contactSection.length) {
-      content.contact = contactSection.text().trim();
-    }
+    // Structure-aware chunks: one group per extracted entity, or per DOM entry for other sections
+    const chunks = [...PRIORITY_SECTIONS, ...OTHER_SECTIONS].flatMap(section => {
+      if (entities[section]?.length > 0) {
+        return chunkEntities(section, entities[section]);
+      }
+      const $section = $(sectionSelectors[section]);
+      return $section.length ? chunkSection($, section, $section, { baseUrl }) : [];
+    });
+    chunks.push(...chunkPages(pages));
     
-    // Also extract general content as fallback
-    const mainContent = $('main, .container, body').first().text().trim();
+    const snapshot = await snapshots.save({
+      sections: content,
+      fullContent: mainContent,
+      entities,
+      chunks,
+      sourceUrl: baseUrl
+    });
     
     return {
       structured: content,
       fullContent: mainContent,
+      entities: entities,
+      pages: pages.map(({ $: page, ...meta }) => meta),
+      chunks: chunks,
+      snapshot: snapshotInfo(snapshot, 'live'),
       timestamp: Date.now()
     };
     
   } catch (error) {
     console.error('Error scraping portfolio:', error);
-    // Fallback to static content
-    return {
-      structured: {
-        about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-        skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-        experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI",
-        education: "B.Sc. Computer Science and Artificial Intelligence at Benha Faculty",
-        projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-        certificates: "NVIDIA Deep Learning, ITIDA Innovation",
-        contact: "ahmed.hazem.elabady@gmail.com, +20 127 5012 177"
-      },
-      fullContent: "Ahmed Hazem Elabady portfolio content",
-      timestamp: Date.now()
-    };
+    return loadSnapshotContent();
   }
 }
 
 /**
- * Split text into chunks for better retrieval
+ * Content from the latest saved knowledge snapshot, or the bundled seed
+ * Seed snapshots carry no chunks, so their sections are sentence-packed by splitIntoChunks.
  */
-function splitIntoChunks(content, chunkSize = 800, overlap = 100) {
-  const chunks = [];
-  
-  // Process structured content first (these are more important)
-  const prioritySections = ['about', 'skills', 'projects', 'experience'];
-  const otherSections = ['education', 'certificates', 'contact'];
-  
-  // Add priority sections first
-  for (const section of prioritySections) {
-    const text = content.structured[section];
-    if (text && text.length > 50) { // Only process if meaningful content
-      const sectionChunks = splitText(text, chunkSize, overlap);
-      sectionChunks.forEach(chunk => {
-        chunks.push({
-          content: chunk,
-          section: section,
-          type: 'priority'
-        });
-      });
-    }
-  }
-  
-  // Add other sections
-  for (const section of otherSections) {
-    const text = content.structured[section];
-    if (text && text.length > 50) {
-      const sectionChunks = splitText(text, chunkSize, overlap);
-      sectionChunks.forEach(chunk => {
-        chunks.push({
-          content: chunk,
-          section: section,
-          type: 'secondary'
-        });
-      });
-    }
-  }
-  
-  // Limit total chunks to prevent memory issues
-  const maxChunks = 30;
-  if (chunks.length > maxChunks) {
-    console.log(`Limiting chunks from ${chunks.length} to ${maxChunks} for memory optimization`);
-    return chunks.slice(0, maxChunks);
+async function loadSnapshotContent() {
+  const { snapshot, source } = await snapshots.loadFallback();
+  return {
+    structured: snapshot.sections,
+    fullContent: snapshot.fullContent,
+    entities: snapshot.entities,
+    chunks: snapshot.chunks.length > 0 ? snapshot.chunks : undefined,
+    fallback: true,
+    snapshot: snapshotInfo(snapshot, source),
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Load the configured resume, keeping the previously loaded one if the file can't be read
+ */
+async function loadResumeSource(previous) {
+  if (!RESUME_SOURCE) return null;
+  try {
+    return await loadResume(RESUME_SOURCE);
+  } catch (error) {
+    console.warn('⚠️ Could not load resume:', error.message);
+    return previous?.resume || null;
   }
-  
-  return chunks;
 }
 
-function splitText(text, chunkSize, overlap) {
+/**
+ * Chunks from the extra sources: GitHub repos (cached, linked to the scraped projects) and the resume
+ */
+async function loadSourceChunks(content, previous) {
+  const github = await loadGitHubRepos(GITHUB_SOURCES, {
+    previous: previous?.github,
+    maxAge: GITHUB_CACHE_DURATION
+  });
+  const resume = await loadResumeSource(previous);
+  return {
+    github,
+    resume,
+    sourceChunks: [...chunkRepos(github.repos, content.entities?.projects || []), ...chunkResume(resume)]
+  };
+}
+
+/**
+ * Extra-source chunks from whatever is already cached, for the snapshot fallback
+ */
+function cachedSourceChunks(previous) {
+  return [...chunkRepos(previous?.github?.repos || []), ...chunkResume(previous?.resume)];
+}
+
+/**
+ * Order chunks by section priority and tag them for retrieval boosting
+ * Uses the DOM-based chunks from scraping, or sentence-packs plain section text for seed snapshot content.
+ * `extraChunks` (e.g. GitHub READMEs) are merged into their sections.
+ */
+function splitIntoChunks(content, maxTokens = DEFAULT_MAX_TOKENS, extraChunks = []) {
+  const sectionChunks = (content.chunks || Object.entries(content.structured)
+    .filter(([, text]) => text && text.length > 50) // Only process if meaningful content
+    .flatMap(([section, text]) => chunkText(section, text, { maxTokens })))
+    .concat(extraChunks);
+  
   const chunks = [];
-  let start = 0;
   
-  while (start < text.length) {
-    const end = Math.min(start + chunkSize, text.length);
-    const chunk = text.slice(start, end);
-    
-    if (chunk.trim().length > 0) {
-      chunks.push(chunk.trim());
-    }
-    
-    start = end - overlap;
-    if (start >= text.length) break;
+  for (const section of [...PRIORITY_SECTIONS, ...OTHER_SECTIONS, PAGE_SECTION]) {
+    sectionChunks
+      .filter(chunk => chunk.section === section)
+      .forEach(chunk => {
+        chunks.push({
+          ...chunk,
+          type: PRIORITY_SECTIONS.includes(section) ? 'priority' : 'secondary'
+        });
+      });
   }
   
   return chunks;
 }
 
 /**
- * Generate embeddings using Google's text-embedding-004 model
+ * Embed chunks with the configured provider, falling back to the offline local provider
+ * Provider embeddings go through the vector store so unchanged chunks are not re-embedded.
  */
-async function generateEmbeddings(chunks, apiKey) {
-  const fetch = (await import('node-fetch')).default;
+async function embedChunks(chunks) {
+  const texts = chunks.map(chunk => chunk.content);
   
   try {
-    const embeddings = [];
-    
-    // Process chunks one by one to avoid memory issues
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      
-      try {
-        const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-goog-api-key': apiKey
-          },
-          body: JSON.stringify({
-            model: 'models/text-embedding-004',
-            content: {
-              parts: [{ text: chunk.content }]
-            }
-          })
-        });
-        
-        if (!response.ok) {
-          console.warn(`Embedding API error for chunk ${i}: ${response.status}`);
-          // Use dummy embedding for this chunk
-          embeddings.push(new Array(768).fill(0));
-          continue;
-        }
-        
-        const data = await response.json();
-        const embedding = data.embedding?.values || [];
-        
-        if (embedding.length > 0) {
-          embeddings.push(embedding);
-        } else {
-          // Fallback: create dummy embedding for this chunk
-          embeddings.push(new Array(768).fill(0));
-        }
-        
-      } catch (chunkError) {
-        console.warn(`Error processing chunk ${i}:`, chunkError.message);
-        embeddings.push(new Array(768).fill(0));
-      }
-      
-      // Small delay to respect rate limits and prevent memory buildup
-      if (i < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-      
-      // Log progress every 10 chunks
-      if ((i + 1) % 10 === 0) {
-        console.log(`Generated embeddings for ${i + 1}/${chunks.length} chunks`);
-      }
-    }
-    
-    console.log(`Successfully generated ${embeddings.length} embeddings`);
-    return embeddings;
-    
+    const provider = createEmbeddingProviderFromEnv();
+    console.log(`🧠 Generating embeddings with ${provider.name} (${provider.model})...`);
+    const { embeddings, stats } = await vectorStore.embedChunks(chunks, provider);
+    console.log(`✅ Embeddings ready: ${stats.reused} reused, ${stats.embedded} newly embedded${stats.reindexed ? ' (re-indexed)' : ''}`);
+    return { embeddings, provider };
   } catch (error) {
-    console.error('Error generating embeddings:', error);
-    // Return dummy embeddings as fallback
-    console.log(`Falling back to dummy embeddings for ${chunks.length} chunks`);
-    return chunks.map(() => new Array(768).fill(0));
+    console.warn(`⚠️ ${EMBEDDING_PROVIDER} embeddings failed, using local embeddings:`, error.message);
+    const provider = createLocalEmbeddingProvider();
+    return { embeddings: await provider.embedDocuments(texts), provider };
   }
 }
 
 /**
- * Simple keyword-based content matching as fallback
+ * BM25 keyword retrieval, also used as fallback when embeddings are unavailable
  */
-function findRelevantContentSimple(query, chunks, topK = 3) {
-  const queryLower = query.toLowerCase();
-  const relevantChunks = [];
-  
-  // Score chunks based on keyword matches
-  chunks.forEach((chunk, index) => {
-    const contentLower = chunk.content.toLowerCase();
-    let score = 0;
-    
-    // Split query into words and count matches
-    const queryWords = queryLower.split(/\s+/).filter(word => word.length > 2);
-    queryWords.forEach(word => {
-      const matches = (contentLower.match(new RegExp(word, 'g')) || []).length;
-      score += matches;
-    });
-    
+function findRelevantContentSimple(query, chunks, index, topK = 3) {
+  const relevantChunks = searchIndex(index, query).map(({ index: chunkIndex, score }) => ({
+    index: chunkIndex,
     // Boost score for priority sections
-    if (chunk.type === 'priority') {
-      score *= 1.5;
-    }
-    
-    if (score > 0) {
-      relevantChunks.push({
-        index,
-        similarity: score / queryWords.length, // Normalize score
-        chunk
-      });
-    }
-  });
+    similarity: chunks[chunkIndex].type === 'priority' ? score * 1.5 : score,
+    chunk: chunks[chunkIndex]
+  }));
   
   // Sort by score and return top K
   relevantChunks.sort((a, b) => b.similarity - a.similarity);
@@ -392,64 +379,69 @@ function cosineSimilarity(vecA, vecB) {
 }
 
 /**
- * Find relevant chunks based on query similarity
+ * Check that embeddings exist and are not the all-zero placeholders
+ */
+function hasValidEmbeddings(embeddings) {
+  return Boolean(embeddings && embeddings.length > 0 &&
+                 embeddings[0] && embeddings[0].length > 0 &&
+                 !embeddings[0].every(val => val === 0));
+}
+
+/**
+ * Rank every chunk by cosine similarity to the query embedding
+ * The query must be embedded by the same provider that embedded the chunks.
+ */
+async function findSemanticChunks(query, chunks, embeddings, provider, signal) {
+  const queryEmbedding = await provider.embedQuery(query, { signal });
+  
+  // Calculate similarities and sort best first
+  const similarities = embeddings.map((embedding, index) => ({
+    index,
+    similarity: cosineSimilarity(queryEmbedding, embedding),
+    chunk: chunks[index]
+  }));
+  
+  similarities.sort((a, b) => b.similarity - a.similarity);
+  return similarities;
+}
+
+/**
+ * Find relevant chunks using the configured retrieval mode
+ * Returns { mode, results } where mode reports what actually ran; an aborted `signal` while
+ * embedding the query falls back to keyword matching.
  */
-async function findRelevantChunks(query, chunks, embeddings, geminiApiKey, topK = 3) {
-  const fetch = (await import('node-fetch')).default;
+async function findRelevantChunks(query, cache, topK = 3, signal = null) {
+  const { chunks, embeddings, embeddingProvider, index } = cache;
+  const keywordResults = findRelevantContentSimple(query, chunks, index, chunks.length);
   
-  // Check if we have valid embeddings
-  const hasValidEmbeddings = embeddings && embeddings.length > 0 && 
-                            embeddings[0] && embeddings[0].length > 0 &&
-                            !embeddings[0].every(val => val === 0);
+  if (RETRIEVAL_MODE === 'keyword') {
+    return { mode: 'keyword-matching', results: keywordResults.slice(0, topK) };
+  }
   
-  if (!hasValidEmbeddings) {
-    console.log('No valid embeddings found, using simple keyword matching');
-    return findRelevantContentSimple(query, chunks, topK);
+  if (!embeddingProvider || !hasValidEmbeddings(embeddings)) {
+    console.log('No valid embeddings found, using keyword matching');
+    return { mode: 'keyword-matching', results: keywordResults.slice(0, topK) };
   }
   
+  let semanticResults;
   try {
-    // Generate embedding for the query using Gemini
-    const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify({
-        model: 'models/text-embedding-004',
-        content: {
-          parts: [{ text: query }]
-        }
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Gemini Embedding API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const queryEmbedding = data.embedding?.values || [];
-    
-    if (queryEmbedding.length === 0) {
-      throw new Error('No embedding returned for query');
-    }
-    
-    // Calculate similarities and get top chunks
-    const similarities = embeddings.map((embedding, index) => ({
-      index,
-      similarity: cosineSimilarity(queryEmbedding, embedding),
-      chunk: chunks[index]
-    }));
-    
-    // Sort by similarity and return top K
-    similarities.sort((a, b) => b.similarity - a.similarity);
-    return similarities.slice(0, topK);
-    
+    semanticResults = await findSemanticChunks(query, chunks, embeddings, embeddingProvider, signal);
   } catch (error) {
     console.error('Error finding relevant chunks with embeddings:', error);
     console.log('Falling back to keyword matching');
-    return findRelevantContentSimple(query, chunks, topK);
+    return { mode: 'keyword-matching', results: keywordResults.slice(0, topK) };
   }
+  
+  if (RETRIEVAL_MODE === 'semantic') {
+    return { mode: 'semantic-embeddings', results: semanticResults.slice(0, topK) };
+  }
+  
+  const fused = reciprocalRankFusion([
+    { name: 'semantic', weight: HYBRID_WEIGHTS.semantic, results: semanticResults },
+    { name: 'keyword', weight: HYBRID_WEIGHTS.keyword, results: keywordResults }
+  ], { k: RRF_K });
+  
+  return { mode: 'hybrid', results: fused.slice(0, topK) };
 }
 
 module.exports = async function handler(req, res) {
@@ -477,25 +469,58 @@ module.exports = async function handler(req, res) {
     return res.status(204).end();
   }
 
-  // Handle warmup endpoint
+  // Handle warmup endpoint: start (or join) a refresh unless the cache is fresh
   if (req.method === 'GET' && req.url?.includes('/warmup')) {
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'GEMINI_API_KEY not configured' });
-    }
-
-    // Start warm-up in background (don't wait for completion)
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      warmUpCache(geminiApiKey).catch(err => console.error('Warmup error:', err));
-    }
+    portfolioCache.warm();
+    const cache = portfolioCache.status();
 
     return res.status(200).json({ 
       message: 'Cache warm-up initiated',
-      status: portfolioCache.isWarmingUp ? 'warming-up' : (portfolioCache.content ? 'ready' : 'starting'),
-      chunksReady: portfolioCache.chunks?.length || 0
+      status: cache.state,
+      chunksReady: portfolioCache.peek()?.chunks.length || 0,
+      cache
+    });
+  }
+
+  // Scrape health: latest section checks and the snapshot currently served
+  if (req.method === 'GET' && req.url?.includes('/health')) {
+    return res.status(200).json({
+      ...scrapeHealth.summary(),
+      snapshot: portfolioCache.peek()?.content.snapshot || null,
+      llm: llmBreaker.summary()
+    });
+  }
+
+  // Change reports from recent refreshes (what was added, removed or modified, and when)
+  if (req.method === 'GET' && req.url?.includes('/changes')) {
+    return res.status(200).json({
+      ...changeLog.summary(),
+      lastUpdated: portfolioCache.status().loadedAt
     });
   }
 
+  // Structured entity records (projects, experience, education, certificates)
+  if (req.method === 'GET' && req.url?.includes('/entities')) {
+    const cached = portfolioCache.peek();
+    const scraped = cached?.content.entities;
+    if (!scraped) {
+      return res.status(503).json({ error: 'Portfolio entities not loaded yet' });
+    }
+    
+    // Resume records (source "resume") are listed after the portfolio's own
+    const resumeEntities = cached.resume?.entities || {};
+    const entities = Object.fromEntries(Object.entries(scraped).map(([section, records]) => [
+      section,
+      [...records, ...(resumeEntities[section] || [])]
+    ]));
+    
+    const type = new URL(req.url, 'http://localhost').searchParams.get('type');
+    if (type && !entities[type]) {
+      return res.status(404).json({ error: `Unknown entity type "${type}"` });
+    }
+    return res.status(200).json(type ? { [type]: entities[type] } : entities);
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
@@ -506,161 +531,116 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Missing "message" string' });
     }
     
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with GEMINI_API_KEY' });
-    }
-
-    // Start warm-up if cache is empty (for first request)
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      console.log('First request detected, starting warm-up...');
-      warmUpCache(geminiApiKey).catch(err => console.error('Background warmup error:', err));
+    // Chat model selected by LLM_PROVIDER (gemini, openai-compatible or mock)
+    let llm;
+    let helperLlm;
+    try {
+      llm = createChatProviderFromEnv(process.env, { breaker: llmBreaker });
+      helperLlm = createChatProviderFromEnv(process.env, { breaker: helperBreaker });
+    } catch (error) {
+      return res.status(500).json({ error: `Server is not configured: ${error.message}` });
     }
 
-    // Wait for warm-up to complete if it's in progress
-    if (portfolioCache.isWarmingUp) {
-      console.log('Waiting for cache warm-up to complete...');
-      let retries = 0;
-      while (portfolioCache.isWarmingUp && retries < 30) { // Max 30 seconds wait
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        retries++;
-      }
-    }
+    // Time budget for this request (REQUEST_DEADLINE_MS); every stage below runs within it
+    const deadline = createDeadline();
 
-    // Check cache validity
+    // Cached portfolio: fresh or stale content right away (stale starts a background refresh);
+    // a cold cache waits for the shared warm-up, keeping enough of the budget to answer
     const now = Date.now();
-    const cacheValid = portfolioCache.content && 
-                      portfolioCache.lastUpdated && 
-                      (now - portfolioCache.lastUpdated) < CACHE_DURATION;
-
-    if (!cacheValid) {
-      console.log('Cache invalid, refreshing portfolio content...');
-      
-      try {
-        // Scrape fresh content
-        const scrapedContent = await scrapePortfolio();
-        
-        // Split into chunks (limited to prevent memory issues)
-        const chunks = splitIntoChunks(scrapedContent);
-        console.log(`Created ${chunks.length} content chunks`);
-        
-        // Generate embeddings (with fallback to keyword matching)
-        let embeddings = [];
-        try {
-          console.log('Generating embeddings with Gemini...');
-          embeddings = await generateEmbeddings(chunks, geminiApiKey);
-          console.log('Embeddings generated successfully');
-        } catch (embeddingError) {
-          console.warn('Failed to generate embeddings, will use keyword matching:', embeddingError.message);
-          embeddings = chunks.map(() => new Array(768).fill(0)); // Dummy embeddings
-        }
-        
-        // Update cache
-        portfolioCache = {
-          content: scrapedContent,
-          chunks: chunks,
-          embeddings: embeddings,
-          lastUpdated: now
-        };
-        
-        console.log(`Portfolio content cached with ${chunks.length} chunks`);
-        
-      } catch (error) {
-        console.error('Error refreshing portfolio cache:', error);
-        // Use fallback static content if scraping fails completely
-        const fallbackContent = {
-          structured: {
-            about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-            skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-            projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-            experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI"
-          },
-          fullContent: "Ahmed Hazem Elabady portfolio content",
-          timestamp: now
-        };
-        
-        const fallbackChunks = splitIntoChunks(fallbackContent);
-        portfolioCache = {
-          content: fallbackContent,
-          chunks: fallbackChunks,
-          embeddings: fallbackChunks.map(() => new Array(768).fill(0)),
-          lastUpdated: now
-        };
-        
-        console.log('Using fallback static content');
-      }
+    let portfolio;
+    try {
+      portfolio = await deadline.within(portfolioCache.get(), { reserveMs: ANSWER_RESERVE_MS, stage: 'warm-up' });
+    } catch (error) {
+      if (!isDeadlineError(error)) throw error;
+      // Nothing to answer from yet: reply now rather than be cut off by the platform
+      console.warn(`⏱️ ${error.message}, nothing cached to answer from`);
+      const { reply, degraded } = degradedAnswer(error, '');
+      return res.status(200).json({ reply, citations: [], degraded: true, debug: { degraded } });
     }
 
-    // Find relevant content chunks for the user's query
-    const relevantChunks = await findRelevantChunks(
-      message, 
-      portfolioCache.chunks, 
-      portfolioCache.embeddings, 
-      geminiApiKey,
-      3 // Get top 3 most relevant chunks
-    );
+    // Rewrite follow-ups into a standalone question for retrieval
+    const rewritten = await rewriteQuery(message, history, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
 
-    // Prepare context from relevant chunks
-    const contextParts = relevantChunks.map(item => 
-      `[${item.chunk.section}]: ${item.chunk.content}`
+    // Find candidate chunks for the user's query
+    const { mode, results: retrieved } = await findRelevantChunks(
+      rewritten.query, 
+      portfolio, 
+      CANDIDATE_POOL,
+      deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
     );
-    const retrievedContext = contextParts.join('\n\n');
-
-    // Determine if we're using real embeddings or fallback
-    const hasValidEmbeddings = portfolioCache.embeddings && 
-                              portfolioCache.embeddings.length > 0 && 
-                              portfolioCache.embeddings[0] && 
-                              portfolioCache.embeddings[0].length > 0 &&
-                              !portfolioCache.embeddings[0].every(val => val === 0);
-
-    console.log(`Using ${relevantChunks.length} relevant chunks for context (${hasValidEmbeddings ? 'semantic' : 'keyword'} matching)`);
-
-    // Use dynamic import for fetch
-    const fetch = (await import('node-fetch')).default;
-
-    // Prepare Gemini API request with RAG context
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    const payload = {
-      systemInstruction: { role: 'system', parts: [{ text: SYSTEM_PROMPT }] },
-      contents: [
-        { role: 'user', parts: [{ text: `Relevant portfolio context:\n${retrievedContext}` }] },
-        // Include previous chat history if available
-        ...(history || []).map(entry => ({
-          role: entry.role === 'user' ? 'user' : 'model',
-          parts: [{ text: entry.parts[0].text }]
-        })),
-        { role: 'user', parts: [{ text: `User question: ${message}` }] }
-      ]
-    };
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify(payload)
+
+    // Re-rank for diversity and fill the context token budget
+    const { selected: relevantChunks, tokensUsed } = selectWithMMR(retrieved, {
+      vectors: hasValidEmbeddings(portfolio.embeddings) ? portfolio.embeddings : null
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Gemini API error', response.status, errorText);
-      return res.status(502).json({ error: 'Gemini API error', status: response.status });
-    }
+    // Prepare numbered context and the matching citations
+    const { context: retrievedContext, citations } = buildCitations(relevantChunks);
+
+    console.log(`Using ${relevantChunks.length} relevant chunks for context (${mode})`);
+
+    // Prompt within the token budget: latest turns verbatim, older ones folded into a summary
+    const { messages, budget } = await assembleContext({
+      system: SYSTEM_PROMPT,
+      context: `Relevant portfolio context:\n${retrievedContext}`,
+      history,
+      question: `User question: ${message}`
+    }, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
+
+    // Prepare the chat request
+    const chatRequest = {
+      system: SYSTEM_PROMPT,
+      messages,
+      signal: deadline.signal
+    };
     
-    const data = await response.json();
-    const candidates = data?.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const reply = parts.map(p => p.text || '').join('\n').trim();
+    // Upstream failures (after retries and fallback models) and an open circuit get a degraded
+    // answer built from the retrieved context instead of an error
+    let reply;
+    let model = llm.model;
+    let degraded = null;
+    let finishReason = null;
+    try {
+      const result = await llm.generate(chatRequest);
+      // Blocked, truncated or empty replies get a notice in the user's language
+      ({ reply, finishReason } = finishReply(result, message));
+      model = result.model;
+    } catch (error) {
+      console.error(`${llm.name} API error`, error.status || error.code || '', error.body || error.message);
+      ({ reply, degraded } = degradedAnswer(error, retrievedContext));
+    }
     
     return res.status(200).json({ 
       reply,
+      citations,
+      degraded: Boolean(degraded),
+      finishReason,
       debug: {
         chunksUsed: relevantChunks.length,
-        cacheAge: Math.round((now - portfolioCache.lastUpdated) / 1000 / 60), // minutes
-        mode: hasValidEmbeddings ? 'semantic-embeddings' : 'keyword-matching',
-        totalChunks: portfolioCache.chunks?.length || 0
+        contextTokens: tokensUsed,
+        cacheAge: Math.round((now - portfolio.lastUpdated) / 1000 / 60), // minutes
+        mode,
+        model: `${llm.name}:${model}`,
+        degraded,
+        snapshot: portfolio.content.snapshot,
+        rewrittenQuery: rewritten.query,
+        rewriteMethod: rewritten.method,
+        budget,
+        embeddingProvider: portfolio.embeddingProvider?.name || null,
+        retrieval: relevantChunks.map(item => ({
+          section: item.chunk.section,
+          heading: item.chunk.heading,
+          anchor: item.chunk.anchor,
+          score: item.similarity,
+          ...(item.scores || {})
+        })),
+        totalChunks: portfolio.chunks.length
       }
     });
     
@@ -1,66 +1,84 @@
 // Simple test version without embeddings - uses only keyword matching
 const cheerio = require('cheerio');
+const { tokenize } = require('../lib/text');
+const { rewriteQuery } = require('../lib/query-rewriter');
+const { assembleContext } = require('../lib/context-assembler');
+const { finishReply } = require('../lib/finish-reasons');
+const { createChatProviderFromEnv } = require('../lib/llm');
+const { createCircuitBreaker, degradedAnswer } = require('../lib/resilience');
+const { createDeadline, isDeadlineError, timeoutSignal, ANSWER_RESERVE_MS, QUERY_STAGE_TIMEOUT_MS } = require('../lib/deadline');
+const { getConfig, extractSections, sectionList } = require('../lib/config');
+const { createSnapshotStore, snapshotInfo } = require('../lib/snapshot');
+const { createCacheManager } = require('../lib/cache-manager');
+const { createHealthMonitor, assertScrapeHealthy } = require('../lib/scrape-health');
 
 const SYSTEM_PROMPT = `You are "Ahmed's Assistant", the official chatbot for Ahmed Hazem Elabady's portfolio (Junior Data Scientist, Cairo, Egypt).
-Only answer questions about Ahmed's portfolio: about, skills, experience, education, projects, certificates, and contact.
+Only answer questions about Ahmed's portfolio: ${sectionList()}.
 If a question is unrelated, politely decline and steer back to the portfolio.
 When answering, use the provided context from the portfolio. If some detail isn't present, say you don't have that info and suggest checking relevant sections.
 Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.`;
 
-// Cache for scraped content
-let portfolioCache = {
-  content: null,
-  chunks: null,
-  lastUpdated: null,
-  isWarmingUp: false
-};
-
 // Cache duration: 1 hour
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Scraped content and chunks: one shared refresh at a time, and stale content is served while it runs
+const portfolioCache = createCacheManager({ name: 'Portfolio cache', ttlMs: CACHE_DURATION, load: buildCache });
+
+// Portfolio sources, sections and selectors (see portfolio.config.json)
+const config = getConfig();
+
+// Versioned knowledge snapshots, served when scraping fails (see SNAPSHOT_DIR)
+const snapshots = createSnapshotStore({ namespace: 'chat-simple' });
+
+// Scrape health checks (missing, tiny or shrunk sections); a failed check keeps the previous snapshot
+const scrapeHealth = createHealthMonitor();
+
+// Counts failed LLM requests across invocations; while open, replies are served without the LLM
+const llmBreaker = createCircuitBreaker();
+
+// Query rewriting and history summaries fall back to heuristics, so their failures are counted
+// apart and never open the circuit for answers
+const helperBreaker = createCircuitBreaker();
+
+const SECTION_WEIGHTS = Object.fromEntries(config.sections.map(section => [section.name, section.weight]));
+
 /**
  * Scrape content from Ahmed's portfolio website
  */
 async function scrapePortfolio() {
   const fetch = (await import('node-fetch')).default;
-  const baseUrl = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+  const { baseUrl } = config;
   
   try {
     console.log('📊 Scraping portfolio content...');
-    const response = await fetch(baseUrl);
+    const response = await fetch(baseUrl, { signal: timeoutSignal() });
     const html = await response.text();
     const $ = cheerio.load(html);
     
-    // Extract structured content
-    const content = {
-      about: $('#about').text().trim() || '',
-      skills: $('#skills').text().trim() || '',
-      experience: $('#experience').text().trim() || '',
-      education: $('#education').text().trim() || '',
-      projects: $('#projects').text().trim() || '',
-      certificates: $('#certificates').text().trim() || '',
-      contact: $('#contact').text().trim() || '',
-      fullContent: $('main, .container, body').first().text().trim()
-    };
+    // Extract the configured sections
+    const { sections, fullContent } = extractSections($, config);
+    
+    // Selector drift check before anything is indexed or saved
+    await assertScrapeHealthy(sections, config, { snapshots, monitor: scrapeHealth });
+    
+    const snapshot = await snapshots.save({ sections, fullContent, sourceUrl: baseUrl });
     
     console.log('✅ Portfolio content scraped successfully');
     return {
-      ...content,
+      ...sections,
+      fullContent,
+      snapshot: snapshotInfo(snapshot, 'live'),
       timestamp: Date.now()
     };
     
   } catch (error) {
     console.error('❌ Error scraping portfolio:', error);
-    // Fallback to static content
+    // Fall back to the latest saved snapshot, or the bundled seed
+    const { snapshot, source } = await snapshots.loadFallback();
     return {
-      about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-      skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-      experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI",
-      education: "B.Sc. Computer Science and Artificial Intelligence at Benha Faculty",
-      projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-      certificates: "NVIDIA Deep Learning, ITIDA Innovation",
-      contact: "ahmed.hazem.elabady@gmail.com, +20 127 5012 177",
-      fullContent: "Ahmed Hazem Elabady portfolio content",
+      ...snapshot.sections,
+      fullContent: snapshot.fullContent,
+      snapshot: snapshotInfo(snapshot, source),
       timestamp: Date.now()
     };
   }
@@ -71,14 +89,12 @@ async function scrapePortfolio() {
  */
 function createSimpleChunks(content) {
   const chunks = [];
-  const sections = ['about', 'skills', 'experience', 'education', 'projects', 'certificates', 'contact'];
-  
-  sections.forEach(section => {
-    const text = content[section];
+  config.sections.forEach(({ name }) => {
+    const text = content[name];
     if (text && text.length > 50) {
       chunks.push({
         content: text,
-        section: section,
+        section: name,
         type: 'structured'
       });
     }
@@ -92,25 +108,23 @@ function createSimpleChunks(content) {
  * Simple keyword-based content matching
  */
 function findRelevantContent(query, chunks, topK = 3) {
-  const queryLower = query.toLowerCase();
+  // Normalized English/Arabic terms; "c++" or "(" in the query stay plain text
+  const queryWords = tokenize(query);
   const relevantChunks = [];
   
   // Score chunks based on keyword matches
   chunks.forEach((chunk, index) => {
-    const contentLower = chunk.content.toLowerCase();
+    const counts = new Map();
+    tokenize(chunk.content).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
     let score = 0;
     
-    // Split query into words and count matches
-    const queryWords = queryLower.split(/\s+/).filter(word => word.length > 2);
+    // Count how often each query term appears
     queryWords.forEach(word => {
-      const matches = (contentLower.match(new RegExp(word, 'g')) || []).length;
-      score += matches;
+      score += counts.get(word) || 0;
     });
     
-    // Boost score for certain sections
-    if (['about', 'skills', 'projects'].includes(chunk.section)) {
-      score *= 1.2;
-    }
+    // Boost score by configured section weight
+    score *= SECTION_WEIGHTS[chunk.section] || 1;
     
     if (score > 0) {
       relevantChunks.push({
@@ -127,40 +141,23 @@ function findRelevantContent(query, chunks, topK = 3) {
 }
 
 /**
- * Warm up the cache by pre-loading portfolio data
+ * Scrape the portfolio and split it into chunks
  */
-async function warmUpCache() {
-  if (portfolioCache.isWarmingUp) {
-    console.log('🔄 Cache warm-up already in progress...');
-    return;
-  }
-
-  portfolioCache.isWarmingUp = true;
-  console.log('🔥 Starting cache warm-up...');
-
-  try {
-    const now = Date.now();
-    
-    // Scrape content
-    const scrapedContent = await scrapePortfolio();
-    
-    // Create simple chunks
-    const chunks = createSimpleChunks(scrapedContent);
-    
-    // Update cache
-    portfolioCache = {
-      content: scrapedContent,
-      chunks: chunks,
-      lastUpdated: now,
-      isWarmingUp: false
-    };
-    
-    console.log(`🎯 Cache warm-up completed! Portfolio ready with ${chunks.length} chunks (keyword matching mode)`);
-    
-  } catch (error) {
-    console.error('❌ Error during cache warm-up:', error);
-    portfolioCache.isWarmingUp = false;
-  }
+async function buildCache() {
+  const now = Date.now();
+  
+  // Scrape content
+  const scrapedContent = await scrapePortfolio();
+  
+  // Create simple chunks
+  const chunks = createSimpleChunks(scrapedContent);
+  console.log(`📚 Portfolio indexed: ${chunks.length} chunks (keyword matching mode)`);
+  
+  return {
+    content: scrapedContent,
+    chunks: chunks,
+    lastUpdated: now
+  };
 }
 
 module.exports = async function handler(req, res) {
@@ -188,17 +185,16 @@ module.exports = async function handler(req, res) {
     return res.status(204).end();
   }
 
-  // Handle warmup endpoint
+  // Handle warmup endpoint: start (or join) a refresh unless the cache is fresh
   if (req.method === 'GET' && req.url?.includes('/warmup')) {
-    // Start warm-up in background
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      warmUpCache().catch(err => console.error('Warmup error:', err));
-    }
+    portfolioCache.warm();
+    const cache = portfolioCache.status();
 
     return res.status(200).json({ 
       message: 'Cache warm-up initiated (keyword matching mode)',
-      status: portfolioCache.isWarmingUp ? 'warming-up' : (portfolioCache.content ? 'ready' : 'starting'),
-      chunksReady: portfolioCache.chunks?.length || 0
+      status: cache.state,
+      chunksReady: portfolioCache.peek()?.chunks.length || 0,
+      cache
     });
   }
 
@@ -212,40 +208,41 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Missing "message" string' });
     }
     
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with GEMINI_API_KEY' });
-    }
-
-    // Start warm-up if cache is empty
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      console.log('🚀 First request detected, starting warm-up...');
-      warmUpCache().catch(err => console.error('Background warmup error:', err));
+    // Chat model selected by LLM_PROVIDER (gemini, openai-compatible or mock)
+    let llm;
+    let helperLlm;
+    try {
+      llm = createChatProviderFromEnv(process.env, { breaker: llmBreaker });
+      helperLlm = createChatProviderFromEnv(process.env, { breaker: helperBreaker });
+    } catch (error) {
+      return res.status(500).json({ error: `Server is not configured: ${error.message}` });
     }
 
-    // Wait for warm-up to complete if it's in progress
-    if (portfolioCache.isWarmingUp) {
-      console.log('⏳ Waiting for cache warm-up to complete...');
-      let retries = 0;
-      while (portfolioCache.isWarmingUp && retries < 30) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        retries++;
-      }
-    }
+    // Time budget for this request (REQUEST_DEADLINE_MS); every stage below runs within it
+    const deadline = createDeadline();
 
-    // Check cache validity
+    // Cached portfolio: fresh or stale content right away (stale starts a background refresh);
+    // a cold cache waits for the shared warm-up, keeping enough of the budget to answer
     const now = Date.now();
-    const cacheValid = portfolioCache.content && 
-                      portfolioCache.lastUpdated && 
-                      (now - portfolioCache.lastUpdated) < CACHE_DURATION;
-
-    if (!cacheValid) {
-      console.log('🔄 Cache invalid, refreshing...');
-      await warmUpCache();
+    let portfolio;
+    try {
+      portfolio = await deadline.within(portfolioCache.get(), { reserveMs: ANSWER_RESERVE_MS, stage: 'warm-up' });
+    } catch (error) {
+      if (!isDeadlineError(error)) throw error;
+      // Nothing to answer from yet: reply now rather than be cut off by the platform
+      console.warn(`⏱️ ${error.message}, nothing cached to answer from`);
+      const { reply, degraded } = degradedAnswer(error, '');
+      return res.status(200).json({ reply, degraded: true, debug: { degraded } });
     }
 
+    // Rewrite follow-ups into a standalone question for retrieval
+    const rewritten = await rewriteQuery(message, history, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
+
     // Find relevant content using keyword matching
-    const relevantChunks = findRelevantContent(message, portfolioCache.chunks, 3);
+    const relevantChunks = findRelevantContent(rewritten.query, portfolio.chunks, 3);
 
     // Prepare context from relevant chunks
     const contextParts = relevantChunks.map(item => 
@@ -255,50 +252,55 @@ module.exports = async function handler(req, res) {
 
     console.log(`📋 Using ${relevantChunks.length} relevant chunks for context (keyword matching)`);
 
-    // Use dynamic import for fetch
-    const fetch = (await import('node-fetch')).default;
+    // Prompt within the token budget: latest turns verbatim, older ones folded into a summary
+    const { messages, budget } = await assembleContext({
+      system: SYSTEM_PROMPT,
+      context: `Relevant portfolio context:\n${retrievedContext}`,
+      history,
+      question: `User question: ${message}`
+    }, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
 
-    // Prepare Gemini API request
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    const payload = {
-      systemInstruction: { role: 'system', parts: [{ text: SYSTEM_PROMPT }] },
-      contents: [
-        { role: 'user', parts: [{ text: `Relevant portfolio context:\n${retrievedContext}` }] },
-        ...(history || []).map(entry => ({
-          role: entry.role === 'user' ? 'user' : 'model',
-          parts: [{ text: entry.parts[0].text }]
-        })),
-        { role: 'user', parts: [{ text: `User question: ${message}` }] }
-      ]
+    // Prepare the chat request
+    const chatRequest = {
+      system: SYSTEM_PROMPT,
+      messages,
+      signal: deadline.signal
     };
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Gemini API error', response.status, errorText);
-      return res.status(502).json({ error: 'Gemini API error', status: response.status });
+    // Upstream failures (after retries and fallback models) and an open circuit get a degraded
+    // answer built from the retrieved context instead of an error
+    let reply;
+    let model = llm.model;
+    let degraded = null;
+    let finishReason = null;
+    try {
+      const result = await llm.generate(chatRequest);
+      // Blocked, truncated or empty replies get a notice in the user's language
+      ({ reply, finishReason } = finishReply(result, message));
+      model = result.model;
+    } catch (error) {
+      console.error(`❌ ${llm.name} API error`, error.status || error.code || '', error.body || error.message);
+      ({ reply, degraded } = degradedAnswer(error, retrievedContext));
     }
     
-    const data = await response.json();
-    const candidates = data?.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const reply = parts.map(p => p.text || '').join('\n').trim();
-    
     return res.status(200).json({ 
       reply,
+      degraded: Boolean(degraded),
+      finishReason,
       debug: {
         chunksUsed: relevantChunks.length,
-        cacheAge: Math.round((now - portfolioCache.lastUpdated) / 1000 / 60),
+        cacheAge: Math.round((now - portfolio.lastUpdated) / 1000 / 60),
+        model: `${llm.name}:${model}`,
+        degraded,
+        snapshot: portfolio.content.snapshot,
         mode: 'keyword-matching',
-        totalChunks: portfolioCache.chunks?.length || 0
+        rewrittenQuery: rewritten.query,
+        rewriteMethod: rewritten.method,
+        budget,
+        totalChunks: portfolio.chunks.length
       }
     });
     
@@ -1,66 +1,126 @@
-// Simple test version without embeddings - uses only keyword matching
-const cheerio = require('cheerio');
+// Keyword retrieval version without embeddings - uses a BM25 index
+const { buildIndex, searchIndex } = require('../lib/bm25');
+const { crawlSite, chunkPages } = require('../lib/crawler');
+const { rewriteQuery } = require('../lib/query-rewriter');
+const { assembleContext } = require('../lib/context-assembler');
+const { finishReply } = require('../lib/finish-reasons');
+const { selectWithMMR } = require('../lib/mmr');
+const { buildCitations, CITATION_INSTRUCTIONS } = require('../lib/citations');
+const { getConfig, extractSections, sectionList } = require('../lib/config');
+const { extractEntities } = require('../lib/extractor');
+const { loadGitHubRepos, chunkRepos } = require('../lib/github');
+const { loadResume, chunkResume } = require('../lib/resume');
+const { hashChunks, buildChangeReport, createChangeLog } = require('../lib/change-detector');
+const { createSnapshotStore, snapshotInfo } = require('../lib/snapshot');
+const { createCacheManager } = require('../lib/cache-manager');
+const { createHealthMonitor, assertScrapeHealthy } = require('../lib/scrape-health');
+const { wantsEventStream, createEventStream } = require('../lib/sse');
+const { createChatProviderFromEnv } = require('../lib/llm');
+const { createCircuitBreaker, degradedAnswer } = require('../lib/resilience');
+const { createDeadline, isDeadlineError, ANSWER_RESERVE_MS, QUERY_STAGE_TIMEOUT_MS } = require('../lib/deadline');
 
 const SYSTEM_PROMPT = `You are "Ahmed's Assistant", the official chatbot for Ahmed Hazem Elabady's portfolio (Junior Data Scientist, Cairo, Egypt).
-Only answer questions about Ahmed's portfolio: about, skills, experience, education, projects, certificates, and contact.
+Only answer questions about Ahmed's portfolio: ${sectionList()}.
 If a question is unrelated, politely decline and steer back to the portfolio.
 When answering, use the provided context from the portfolio. If some detail isn't present, say you don't have that info and suggest checking relevant sections.
-Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.`;
-
-// Cache for scraped content
-let portfolioCache = {
-  content: null,
-  chunks: null,
-  lastUpdated: null,
-  isWarmingUp: false
-};
+Be concise, friendly, and professional. Detect the user's language (Arabic/English) and respond accordingly.
+${CITATION_INSTRUCTIONS}`;
 
 // Cache duration: 1 hour
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Scraped content, chunks and BM25 index: one shared refresh at a time, and stale content is
+// served while it runs
+const portfolioCache = createCacheManager({ name: 'Portfolio cache', ttlMs: CACHE_DURATION, load: buildCache });
+
+// Recent change reports from cache refreshes, served on GET /changes
+const changeLog = createChangeLog();
+
+// Versioned knowledge snapshots, served when scraping fails (see SNAPSHOT_DIR)
+const snapshots = createSnapshotStore({ namespace: 'chat' });
+
+// Scrape health checks (missing, tiny or shrunk sections); a failed check keeps the previous snapshot
+const scrapeHealth = createHealthMonitor();
+
+// Counts failed LLM requests across invocations; while open, replies are served without the LLM
+const llmBreaker = createCircuitBreaker();
+
+// Query rewriting and history summaries fall back to heuristics, so their failures are counted
+// apart and never open the circuit for answers
+const helperBreaker = createCircuitBreaker();
+
+// GitHub repo data changes rarely and the API is rate limited: refresh it every 6 hours
+const GITHUB_CACHE_DURATION = 6 * 60 * 60 * 1000;
+
+// Minimum normalized BM25 score (0-1) for a chunk to be used as context
+const MIN_RELEVANCE = 0.05;
+
+// Number of BM25 candidates handed to MMR re-ranking
+const CANDIDATE_POOL = 10;
+
+// Portfolio sources, sections, selectors and section weights (see portfolio.config.json)
+const config = getConfig();
+const SECTION_WEIGHTS = Object.fromEntries(config.sections.map(section => [section.name, section.weight]));
+
+// GitHub repositories indexed alongside the portfolio
+const GITHUB_SOURCES = config.sources.filter(source => source.type === 'github');
+
+// Optional resume file (PDF or JSON Resume)
+const RESUME_SOURCE = config.sources.find(source => source.type === 'resume') || null;
+
 /**
  * Scrape content from Ahmed's portfolio website
  */
-async function scrapePortfolio() {
-  const fetch = (await import('node-fetch')).default;
-  const baseUrl = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+async function scrapePortfolio(previousPages = []) {
+  const { baseUrl } = config;
   
   try {
     console.log('📊 Scraping portfolio content...');
-    const response = await fetch(baseUrl);
-    const html = await response.text();
-    const $ = cheerio.load(html);
+    // The start page holds the sections; linked pages are indexed as extra sources
+    const pages = await crawlSite(baseUrl, { previousPages });
+    const $ = pages[0].$;
     
-    // Extract structured content
-    const content = {
-      about: $('#about').text().trim() || '',
-      skills: $('#skills').text().trim() || '',
-      experience: $('#experience').text().trim() || '',
-      education: $('#education').text().trim() || '',
-      projects: $('#projects').text().trim() || '',
-      certificates: $('#certificates').text().trim() || '',
-      contact: $('#contact').text().trim() || '',
-      fullContent: $('main, .container, body').first().text().trim()
-    };
+    // Extract the configured sections
+    const { sections, fullContent } = extractSections($, config);
+    
+    // Selector drift check before anything is indexed or saved
+    await assertScrapeHealthy(sections, config, { snapshots, monitor: scrapeHealth });
+    
+    // Project records, used to link GitHub repos to the right project
+    const selectors = Object.fromEntries(config.sections.map(section => [section.name, section.selector]));
+    const { projects } = extractEntities($, { baseUrl, selectors });
+    const pageChunks = chunkPages(pages);
+    
+    const snapshot = await snapshots.save({
+      sections,
+      fullContent,
+      entities: { projects },
+      chunks: pageChunks,
+      sourceUrl: baseUrl
+    });
     
     console.log('✅ Portfolio content scraped successfully');
     return {
-      ...content,
+      ...sections,
+      fullContent,
+      pageChunks,
+      projectEntities: projects,
+      pages: pages.map(({ $: page, ...meta }) => meta),
+      snapshot: snapshotInfo(snapshot, 'live'),
       timestamp: Date.now()
     };
     
   } catch (error) {
     console.error('❌ Error scraping portfolio:', error);
-    // Fallback to static content
+    // Fall back to the latest saved snapshot, or the bundled seed
+    const { snapshot, source } = await snapshots.loadFallback();
     return {
-      about: "Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt",
-      skills: "Python, Machine Learning, Data Analysis, Web Scraping, Computer Vision",
-      experience: "Computer Vision Trainee at NTI, AI & Data Science Trainee at DEPI",
-      education: "B.Sc. Computer Science and Artificial Intelligence at Benha Faculty",
-      projects: "Waste Detection using YOLO, Land Type Classification, COVID-19 X-ray Detection",
-      certificates: "NVIDIA Deep Learning, ITIDA Innovation",
-      contact: "ahmed.hazem.elabady@gmail.com, +20 127 5012 177",
-      fullContent: "Ahmed Hazem Elabady portfolio content",
+      ...snapshot.sections,
+      fullContent: snapshot.fullContent,
+      pageChunks: snapshot.chunks,
+      projectEntities: snapshot.entities.projects || [],
+      fallback: true,
+      snapshot: snapshotInfo(snapshot, source),
       timestamp: Date.now()
     };
   }
@@ -71,96 +131,107 @@ async function scrapePortfolio() {
  */
 function createSimpleChunks(content) {
   const chunks = [];
-  const sections = ['about', 'skills', 'experience', 'education', 'projects', 'certificates', 'contact'];
-  
-  sections.forEach(section => {
-    const text = content[section];
+  config.sections.forEach(({ name, anchor, keywords }) => {
+    const text = content[name];
     if (text && text.length > 50) {
       chunks.push({
         content: text,
-        section: section,
-        type: 'structured'
+        section: name,
+        anchor,
+        type: 'structured',
+        keywords
       });
     }
   });
   
+  // Chunks from crawled pages, cited by their own URL
+  (content.pageChunks || []).forEach(chunk => {
+    chunks.push({ ...chunk, type: 'page' });
+  });
+  
   console.log(`📝 Created ${chunks.length} content chunks`);
   return chunks;
 }
 
 /**
- * Simple keyword-based content matching
+ * BM25 keyword retrieval over the prebuilt index
  */
-function findRelevantContent(query, chunks, topK = 3) {
-  const queryLower = query.toLowerCase();
-  const relevantChunks = [];
-  
-  // Score chunks based on keyword matches
-  chunks.forEach((chunk, index) => {
-    const contentLower = chunk.content.toLowerCase();
-    let score = 0;
-    
-    // Split query into words and count matches
-    const queryWords = queryLower.split(/\s+/).filter(word => word.length > 2);
-    queryWords.forEach(word => {
-      const matches = (contentLower.match(new RegExp(word, 'g')) || []).length;
-      score += matches;
-    });
-    
-    // Boost score for certain sections
-    if (['about', 'skills', 'projects'].includes(chunk.section)) {
-      score *= 1.2;
-    }
-    
-    if (score > 0) {
-      relevantChunks.push({
-        index,
-        similarity: score / queryWords.length,
-        chunk
-      });
-    }
+function findRelevantContent(query, chunks, index, topK = 3) {
+  const relevantChunks = searchIndex(index, query).map(({ index: chunkIndex, score }) => {
+    const chunk = chunks[chunkIndex];
+    return {
+      index: chunkIndex,
+      similarity: score * (SECTION_WEIGHTS[chunk.section] || 1),
+      chunk
+    };
   });
-  
-  // Sort by score and return top K
+
+  // Sort by boosted score, drop weak matches and return top K
   relevantChunks.sort((a, b) => b.similarity - a.similarity);
-  return relevantChunks.slice(0, topK);
+  return relevantChunks
+    .filter(item => item.similarity >= MIN_RELEVANCE)
+    .slice(0, topK);
 }
 
 /**
- * Warm up the cache by pre-loading portfolio data
+ * Build the cache from a fresh scrape, reusing what the previous cache already has
+ * (conditional page fetches, GitHub data, resume, and the index when nothing changed)
  */
-async function warmUpCache() {
-  if (portfolioCache.isWarmingUp) {
-    console.log('🔄 Cache warm-up already in progress...');
-    return;
+async function buildCache(previous) {
+  const now = Date.now();
+  
+  // Scrape content (unchanged pages answer 304 and reuse their cached HTML)
+  const scrapedContent = await scrapePortfolio(previous?.content?.pages);
+  
+  // Create simple chunks
+  const chunks = createSimpleChunks(scrapedContent);
+  
+  // GitHub READMEs, cached alongside the portfolio and linked to their projects
+  const github = await loadGitHubRepos(GITHUB_SOURCES, {
+    previous: previous?.github,
+    maxAge: GITHUB_CACHE_DURATION
+  });
+  chunkRepos(github.repos, scrapedContent.projectEntities || []).forEach(chunk => {
+    chunks.push({ ...chunk, type: 'repo' });
+  });
+  
+  // Resume details (GPA, dates, coursework), cited as "from resume"
+  let resume = previous?.resume || null;
+  if (RESUME_SOURCE) {
+    try {
+      resume = await loadResume(RESUME_SOURCE);
+    } catch (error) {
+      console.warn('⚠️ Could not load resume, keeping the previous one:', error.message);
+    }
   }
-
-  portfolioCache.isWarmingUp = true;
-  console.log('🔥 Starting cache warm-up...');
-
-  try {
-    const now = Date.now();
-    
-    // Scrape content
-    const scrapedContent = await scrapePortfolio();
-    
-    // Create simple chunks
-    const chunks = createSimpleChunks(scrapedContent);
-    
-    // Update cache
-    portfolioCache = {
-      content: scrapedContent,
-      chunks: chunks,
-      lastUpdated: now,
-      isWarmingUp: false
-    };
-    
-    console.log(`🎯 Cache warm-up completed! Portfolio ready with ${chunks.length} chunks (keyword matching mode)`);
-    
-  } catch (error) {
-    console.error('❌ Error during cache warm-up:', error);
-    portfolioCache.isWarmingUp = false;
+  chunkResume(resume).forEach(chunk => {
+    chunks.push({ ...chunk, type: 'resume' });
+  });
+  
+  // Compare per-section hashes with the last successful scrape
+  const hashes = hashChunks(chunks);
+  const report = scrapedContent.fallback
+    ? null
+    : buildChangeReport(previous?.hashes || null, hashes, { pages: scrapedContent.pages });
+  if (report) {
+    changeLog.record(report);
   }
+  
+  // Keep the current chunks and index when nothing changed, otherwise rebuild the BM25 index
+  const unchanged = report && !report.changed && !previous?.content?.fallback && previous?.index;
+  
+  const cache = {
+    content: scrapedContent,
+    chunks: unchanged ? previous.chunks : chunks,
+    index: unchanged ? previous.index : buildIndex(chunks),
+    github: github,
+    resume: resume,
+    hashes: report ? hashes : previous?.hashes || null,
+    lastUpdated: now
+  };
+  
+  console.log(`📚 Portfolio indexed: ${cache.chunks.length} chunks (BM25 keyword mode)`);
+  return cache;
 }
 
 module.exports = async function handler(req, res) {
@@ -188,17 +259,33 @@ module.exports = async function handler(req, res) {
     return res.status(204).end();
   }
 
-  // Handle warmup endpoint
+  // Handle warmup endpoint: start (or join) a refresh unless the cache is fresh
   if (req.method === 'GET' && req.url?.includes('/warmup')) {
-    // Start warm-up in background
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      warmUpCache().catch(err => console.error('Warmup error:', err));
-    }
+    portfolioCache.warm();
+    const cache = portfolioCache.status();
 
     return res.status(200).json({ 
-      message: 'Cache warm-up initiated (keyword matching mode)',
-      status: portfolioCache.isWarmingUp ? 'warming-up' : (portfolioCache.content ? 'ready' : 'starting'),
-      chunksReady: portfolioCache.chunks?.length || 0
+      message: 'Cache warm-up initiated (BM25 keyword mode)',
+      status: cache.state,
+      chunksReady: portfolioCache.peek()?.chunks.length || 0,
+      cache
+    });
+  }
+
+  // Scrape health: latest section checks and the snapshot currently served
+  if (req.method === 'GET' && req.url?.includes('/health')) {
+    return res.status(200).json({
+      ...scrapeHealth.summary(),
+      snapshot: portfolioCache.peek()?.content.snapshot || null,
+      llm: llmBreaker.summary()
+    });
+  }
+
+  // Change reports from recent refreshes (what was added, removed or modified, and when)
+  if (req.method === 'GET' && req.url?.includes('/changes')) {
+    return res.status(200).json({
+      ...changeLog.summary(),
+      lastUpdated: portfolioCache.status().loadedAt
     });
   }
 
@@ -212,94 +299,145 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Missing "message" string' });
     }
     
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      return res.status(500).json({ error: 'Server is not configured with GEMINI_API_KEY' });
+    // Chat model selected by LLM_PROVIDER (gemini, openai-compatible or mock)
+    let llm;
+    let helperLlm;
+    try {
+      llm = createChatProviderFromEnv(process.env, { breaker: llmBreaker });
+      helperLlm = createChatProviderFromEnv(process.env, { breaker: helperBreaker });
+    } catch (error) {
+      return res.status(500).json({ error: `Server is not configured: ${error.message}` });
     }
 
-    // Start warm-up if cache is empty
-    if (!portfolioCache.content && !portfolioCache.isWarmingUp) {
-      console.log('🚀 First request detected, starting warm-up...');
-      warmUpCache().catch(err => console.error('Background warmup error:', err));
-    }
+    // Time budget for this request (REQUEST_DEADLINE_MS); every stage below runs within it
+    const deadline = createDeadline();
 
-    // Wait for warm-up to complete if it's in progress
-    if (portfolioCache.isWarmingUp) {
-      console.log('⏳ Waiting for cache warm-up to complete...');
-      let retries = 0;
-      while (portfolioCache.isWarmingUp && retries < 30) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        retries++;
-      }
+    // Cached portfolio: fresh or stale content right away (stale starts a background refresh);
+    // a cold cache waits for the shared warm-up, keeping enough of the budget to answer
+    const now = Date.now();
+    let portfolio;
+    try {
+      portfolio = await deadline.within(portfolioCache.get(), { reserveMs: ANSWER_RESERVE_MS, stage: 'warm-up' });
+    } catch (error) {
+      if (!isDeadlineError(error)) throw error;
+      // Nothing to answer from yet: reply now rather than be cut off by the platform
+      console.warn(`⏱️ ${error.message}, nothing cached to answer from`);
+      const { reply, degraded } = degradedAnswer(error, '');
+      return res.status(200).json({ reply, citations: [], degraded: true, debug: { degraded } });
     }
 
-    // Check cache validity
-    const now = Date.now();
-    const cacheValid = portfolioCache.content && 
-                      portfolioCache.lastUpdated && 
-                      (now - portfolioCache.lastUpdated) < CACHE_DURATION;
+    // Rewrite follow-ups into a standalone question for retrieval
+    const rewritten = await rewriteQuery(message, history, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
+    });
 
-    if (!cacheValid) {
-      console.log('🔄 Cache invalid, refreshing...');
-      await warmUpCache();
-    }
+    // Find candidates with the BM25 index, then pick a diverse set within the token budget
+    const retrieved = findRelevantContent(rewritten.query, portfolio.chunks, portfolio.index, CANDIDATE_POOL);
+    const { selected: relevantChunks, tokensUsed } = selectWithMMR(retrieved);
 
-    // Find relevant content using keyword matching
-    const relevantChunks = findRelevantContent(message, portfolioCache.chunks, 3);
-
-    // Prepare context from relevant chunks
-    const contextParts = relevantChunks.map(item => 
-      `[${item.chunk.section}]: ${item.chunk.content}`
-    );
-    const retrievedContext = contextParts.join('\n\n');
-
-    console.log(`📋 Using ${relevantChunks.length} relevant chunks for context (keyword matching)`);
-
-    // Use dynamic import for fetch
-    const fetch = (await import('node-fetch')).default;
-
-    // Prepare Gemini API request
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    const payload = {
-      systemInstruction: { role: 'system', parts: [{ text: SYSTEM_PROMPT }] },
-      contents: [
-        { role: 'user', parts: [{ text: `Relevant portfolio context:\n${retrievedContext}` }] },
-        ...(history || []).map(entry => ({
-          role: entry.role === 'user' ? 'user' : 'model',
-          parts: [{ text: entry.parts[0].text }]
-        })),
-        { role: 'user', parts: [{ text: `User question: ${message}` }] }
-      ]
-    };
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-goog-api-key': geminiApiKey
-      },
-      body: JSON.stringify(payload)
+    // Prepare numbered context and the matching citations
+    const { context: retrievedContext, citations } = buildCitations(relevantChunks);
+
+    console.log(`📋 Using ${relevantChunks.length} relevant chunks for context (BM25)`);
+
+    // Prompt within the token budget: latest turns verbatim, older ones folded into a summary
+    const { messages, budget } = await assembleContext({
+      system: SYSTEM_PROMPT,
+      context: `Relevant portfolio context:\n${retrievedContext}`,
+      history,
+      question: `User question: ${message}`
+    }, {
+      llm: helperLlm,
+      signal: deadline.stageSignal({ timeoutMs: QUERY_STAGE_TIMEOUT_MS })
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Gemini API error', response.status, errorText);
-      return res.status(502).json({ error: 'Gemini API error', status: response.status });
+    // Prepare the chat request
+    const chatRequest = {
+      system: SYSTEM_PROMPT,
+      messages,
+      signal: deadline.signal
+    };
+    
+    const debug = {
+      chunksUsed: relevantChunks.length,
+      contextTokens: tokensUsed,
+      cacheAge: Math.round((now - portfolio.lastUpdated) / 1000 / 60),
+      mode: 'bm25',
+      model: `${llm.name}:${llm.model}`,
+      degraded: null,
+      snapshot: portfolio.content.snapshot,
+      rewrittenQuery: rewritten.query,
+      rewriteMethod: rewritten.method,
+      budget,
+      scores: relevantChunks.map(item => ({
+        section: item.chunk.section,
+        score: Number(item.similarity.toFixed(3))
+      })),
+      totalChunks: portfolio.chunks.length
+    };
+    
+    // Upstream failures (after retries and fallback models) and an open circuit get a degraded
+    // answer built from the retrieved context instead of an error
+    const degrade = error => {
+      console.error(`❌ ${llm.name} API error`, error.status || error.code || '', error.body || error.message);
+      const answer = degradedAnswer(error, retrievedContext);
+      debug.degraded = answer.degraded;
+      return answer.reply;
+    };
+    
+    // Streaming mode: token deltas as SSE "token" events, then a "done" event with citations and debug
+    if (wantsEventStream(req)) {
+      const stream = createEventStream(res);
+      let partial = '';
+      try {
+        const result = await llm.stream(chatRequest, text => {
+          partial += text;
+          stream.send('token', { text });
+        });
+        debug.model = `${llm.name}:${result.model}`;
+        // Blocked, truncated or empty replies end with a notice; "done" carries the final reply
+        const { reply, finishReason, notice } = finishReply(result, message);
+        if (notice) {
+          stream.send('token', { text: partial ? `\n\n${notice}` : notice });
+        }
+        stream.send('done', { reply, citations, degraded: false, finishReason, debug });
+      } catch (error) {
+        // Tokens already sent cannot be replaced with a degraded answer
+        if (stream.opened && isDeadlineError(error)) {
+          // Out of time mid-answer: finish with what was generated so far
+          console.warn('⏱️ Request deadline reached while streaming, sending the partial reply');
+          debug.degraded = { reason: 'deadline', status: null, stage: 'answer' };
+          stream.send('done', { reply: partial.trim(), citations, degraded: true, truncated: true, finishReason: null, debug });
+        } else if (stream.opened) {
+          console.error(`❌ ${llm.name} stream failed`, error.status || '', error.body || error.message);
+          stream.send('error', { error: 'LLM API error' });
+        } else {
+          const reply = degrade(error);
+          stream.send('token', { text: reply });
+          stream.send('done', { reply, citations, degraded: true, finishReason: null, debug });
+        }
+      }
+      return stream.close();
     }
     
-    const data = await response.json();
-    const candidates = data?.candidates || [];
-    const parts = candidates[0]?.content?.parts || [];
-    const reply = parts.map(p => p.text || '').join('\n').trim();
+    let reply;
+    let finishReason = null;
+    try {
+      const result = await llm.generate(chatRequest);
+      // Blocked, truncated or empty replies get a notice in the user's language
+      ({ reply, finishReason } = finishReply(result, message));
+      debug.model = `${llm.name}:${result.model}`;
+    } catch (error) {
+      reply = degrade(error);
+    }
     
     return res.status(200).json({ 
       reply,
-      debug: {
-        chunksUsed: relevantChunks.length,
-        cacheAge: Math.round((now - portfolioCache.lastUpdated) / 1000 / 60),
-        mode: 'keyword-matching',
-        totalChunks: portfolioCache.chunks?.length || 0
-      }
+      citations,
+      degraded: Boolean(debug.degraded),
+      finishReason,
+      debug
     });
     
   } catch (err) {
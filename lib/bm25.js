@@ -0,0 +1,91 @@
+// BM25 inverted index for keyword retrieval over portfolio chunks
+// The index is built once per cache warm-up and queried on every request
+
+const { tokenize } = require('./text');
+
+// Standard Okapi BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Build an inverted index (term -> chunk index -> term frequency) over chunk contents
+ * Optional `chunk.keywords` are indexed alongside the content (e.g. Arabic section names)
+ */
+function buildIndex(chunks, { k1 = K1, b = B } = {}) {
+  const postings = new Map();
+  const docLengths = [];
+
+  chunks.forEach((chunk, docIndex) => {
+    const terms = tokenize([chunk.content, ...(chunk.keywords || [])].join(' '));
+    docLengths.push(terms.length);
+
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    counts.forEach((tf, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(docIndex, tf);
+    });
+  });
+
+  const docCount = docLengths.length;
+  const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    postings,
+    docLengths,
+    docCount,
+    avgDocLength: docCount > 0 ? totalLength / docCount : 0,
+    k1,
+    b
+  };
+}
+
+/**
+ * Inverse document frequency, always positive (Lucene variant)
+ */
+function idf(index, term) {
+  const df = index.postings.get(term)?.size || 0;
+  return Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Score every matching chunk against the query
+ * Scores are divided by the best score any chunk could reach for this query,
+ * so they fall in [0, 1) and a single relevance threshold works for all queries.
+ */
+function searchIndex(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || index.docCount === 0) {
+    return [];
+  }
+
+  const { k1, b, avgDocLength, docLengths } = index;
+  const scores = new Map();
+  let maxScore = 0;
+
+  queryTerms.forEach(term => {
+    const termIdf = idf(index, term);
+    maxScore += termIdf * (k1 + 1);
+
+    const docs = index.postings.get(term);
+    if (!docs) return;
+
+    docs.forEach((tf, docIndex) => {
+      const lengthNorm = 1 - b + b * (docLengths[docIndex] / (avgDocLength || 1));
+      const termScore = termIdf * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+      scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+    });
+  });
+
+  return [...scores.entries()]
+    .map(([docIndex, score]) => ({ index: docIndex, score: score / maxScore }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  buildIndex,
+  searchIndex
+};
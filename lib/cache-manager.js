@@ -0,0 +1,122 @@
+// Single-flight, stale-while-revalidate cache
+// One promise per refresh is shared by every caller waiting on it. Once the TTL passes the
+// previous value keeps being served while a background refresh runs; a failed refresh keeps it.
+//
+// States: cold (nothing loaded yet), warming (first load running), ready (fresh value),
+// stale (value past its TTL, refresh running or due), failed (last load failed, no value).
+
+// State transitions kept for the /warmup route
+const HISTORY_SIZE = 10;
+
+// Wait after a failed refresh before the next one, while the previous value keeps being served
+const DEFAULT_RETRY_AFTER_MS = parseInt(process.env.CACHE_RETRY_AFTER_MS || '30000', 10);
+
+/**
+ * Create a cache around load(previousValue), which resolves to the next value or throws
+ */
+function createCacheManager({ name = 'cache', ttlMs, load, retryAfterMs = DEFAULT_RETRY_AFTER_MS }) {
+  let state = 'cold';
+  let value = null;
+  let loadedAt = null;
+  let lastError = null;
+  let failedAt = null;
+  let inFlight = null;
+  const transitions = [];
+
+  function transition(next) {
+    if (next === state) return;
+    transitions.push({ from: state, to: next, at: new Date().toISOString() });
+    if (transitions.length > HISTORY_SIZE) transitions.shift();
+    state = next;
+  }
+
+  const isFresh = () => value !== null && Date.now() - loadedAt < ttlMs;
+
+  // With nothing to serve, every caller retries; otherwise a failed refresh waits out retryAfterMs
+  const coolingDown = () => value !== null && failedAt !== null && Date.now() - failedAt < retryAfterMs;
+
+  /**
+   * Start a refresh, or return the one already running
+   */
+  function refresh() {
+    if (inFlight) return inFlight;
+
+    transition(value === null ? 'warming' : 'stale');
+    const startedAt = Date.now();
+    console.log(`🔥 ${name}: ${value === null ? 'warming up' : 'refreshing in the background'}...`);
+
+    inFlight = (async () => {
+      try {
+        value = await load(value);
+        loadedAt = Date.now();
+        lastError = null;
+        failedAt = null;
+        transition('ready');
+        console.log(`🎯 ${name}: ready in ${loadedAt - startedAt}ms`);
+        return value;
+      } catch (error) {
+        lastError = error.message;
+        failedAt = Date.now();
+        // Keep serving the previous value; without one there is nothing to serve
+        transition(value === null ? 'failed' : 'stale');
+        console.error(`❌ ${name}: refresh failed${value === null ? '' : ', keeping the previous value'}:`, error.message);
+        throw error;
+      } finally {
+        inFlight = null;
+      }
+    })();
+
+    return inFlight;
+  }
+
+  return {
+    /**
+     * The cached value: fresh values at once, stale values at once with a background refresh
+     * (unless the last one failed less than retryAfterMs ago), otherwise the shared in-flight load
+     * (rejects when that load fails)
+     */
+    async get() {
+      if (isFresh()) return value;
+
+      if (value !== null) {
+        if (state !== 'stale') transition('stale');
+        if (!coolingDown()) refresh().catch(() => {});
+        return value;
+      }
+      return refresh();
+    },
+
+    /**
+     * Current value without triggering a load (null while cold)
+     */
+    peek() {
+      return value;
+    },
+
+    /**
+     * Start loading unless the value is fresh or a failed refresh is cooling down; never rejects
+     * (for /warmup and warm-up pings)
+     */
+    warm() {
+      if (!isFresh() && !coolingDown()) refresh().catch(() => {});
+    },
+
+    status() {
+      // A value can go stale between requests without anyone touching the cache
+      const current = state === 'ready' && !isFresh() ? 'stale' : state;
+      return {
+        state: current,
+        refreshing: Boolean(inFlight),
+        loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+        ageSeconds: loadedAt ? Math.round((Date.now() - loadedAt) / 1000) : null,
+        lastError,
+        retryAt: coolingDown() ? new Date(failedAt + retryAfterMs).toISOString() : null,
+        transitions: [...transitions]
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCacheManager
+};
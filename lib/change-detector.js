@@ -0,0 +1,109 @@
+// Change detection between portfolio refreshes
+// Hashes every content unit (section, crawled page, repo, resume section), compares it
+// with the previous refresh and keeps a short history of change reports for operators.
+
+const { hashContent } = require('./vector-store');
+
+// Number of change reports kept in memory
+const DEFAULT_HISTORY_SIZE = 20;
+
+/**
+ * Unit a chunk belongs to: its source and section, plus the URL for per-page/per-repo sources
+ * e.g. "portfolio:skills", "portfolio:pages https://.../case-study.html", "github:projects https://github.com/..."
+ */
+function unitKey(chunk) {
+  const key = `${chunk.source || 'portfolio'}:${chunk.section}`;
+  return chunk.url ? `${key} ${chunk.url}` : key;
+}
+
+/**
+ * Content hash per unit, computed over the unit's chunks in order
+ */
+function hashChunks(chunks) {
+  const units = new Map();
+  chunks.forEach(chunk => {
+    const key = unitKey(chunk);
+    units.set(key, `${units.get(key) || ''}\n${chunk.content}`);
+  });
+  return Object.fromEntries([...units].map(([key, text]) => [key, hashContent(text)]));
+}
+
+/**
+ * Compare two hash maps
+ * Returns { added, removed, modified, unchanged } lists of unit keys.
+ */
+function compareHashes(previous = {}, current = {}) {
+  const diff = { added: [], removed: [], modified: [], unchanged: [] };
+
+  Object.entries(current).forEach(([key, hash]) => {
+    if (!(key in previous)) diff.added.push(key);
+    else if (previous[key] !== hash) diff.modified.push(key);
+    else diff.unchanged.push(key);
+  });
+  Object.keys(previous).forEach(key => {
+    if (!(key in current)) diff.removed.push(key);
+  });
+
+  return diff;
+}
+
+/**
+ * Structured report for one refresh
+ * `pages` are the crawled pages (their `notModified` flag comes from conditional requests).
+ */
+function buildChangeReport(previousHashes, currentHashes, { pages = [] } = {}) {
+  const diff = compareHashes(previousHashes || {}, currentHashes);
+  const initial = !previousHashes;
+
+  return {
+    checkedAt: new Date().toISOString(),
+    initial,
+    changed: initial || diff.added.length + diff.removed.length + diff.modified.length > 0,
+    pages: {
+      fetched: pages.filter(page => !page.notModified).map(page => page.url),
+      notModified: pages.filter(page => page.notModified).map(page => page.url)
+    },
+    added: diff.added,
+    removed: diff.removed,
+    modified: diff.modified,
+    unchanged: diff.unchanged.length
+  };
+}
+
+/**
+ * In-memory history of change reports, newest first
+ */
+function createChangeLog({ size = DEFAULT_HISTORY_SIZE } = {}) {
+  const reports = [];
+  let lastChangedAt = null;
+
+  return {
+    record(report) {
+      reports.unshift(report);
+      reports.splice(size);
+      if (report.changed) {
+        lastChangedAt = report.checkedAt;
+      }
+
+      const summary = report.initial
+        ? 'initial snapshot'
+        : `${report.added.length} added, ${report.removed.length} removed, ${report.modified.length} modified`;
+      console.log(`🧾 Portfolio change report: ${summary} (${report.pages.notModified.length} page(s) not modified)`);
+    },
+
+    summary() {
+      return {
+        lastChangedAt,
+        latest: reports[0] || null,
+        history: reports
+      };
+    }
+  };
+}
+
+module.exports = {
+  hashChunks,
+  compareHashes,
+  buildChangeReport,
+  createChangeLog
+};
@@ -0,0 +1,185 @@
+// Structure-aware chunking that follows the portfolio's DOM
+// One chunk per project card / experience entry / certificate, packed by sentence under a token budget
+
+const { htmlToText } = require('./html-to-text');
+
+// Token budget per chunk (rough estimate, see estimateTokens)
+const DEFAULT_MAX_TOKENS = 200;
+
+// Selectors tried in order; the first one that matches inside a section defines its entries
+const ENTRY_SELECTORS = [
+  '.project-card',
+  '.project',
+  '.experience-item',
+  '.timeline-item',
+  '.education-item',
+  '.certificate-card',
+  '.certificate',
+  '.card',
+  'article'
+];
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+/**
+ * Rough token estimate (~4 characters per token for English, fine for budgeting)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of a DOM node with a space between adjacent elements (cheerio's .text() runs them together)
+ */
+function nodeText(node) {
+  if (node.type === 'text') return node.data;
+  if (node.type !== 'tag' || !node.children) return '';
+  return node.children.map(nodeText).join(' ');
+}
+
+/**
+ * Split text on sentence boundaries (Latin and Arabic punctuation)
+ */
+function splitSentences(text) {
+  return cleanText(text)
+    .split(/(?<=[.!?؟])\s+/)
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Greedily pack sentences into pieces that fit the token budget
+ * Line breaks (headings, list items) are kept between sentences of different lines;
+ * a single sentence over budget is split on word boundaries.
+ */
+function packSentences(text, maxTokens) {
+  const pieces = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) pieces.push(current);
+    current = '';
+  };
+
+  const sentences = String(text || '').split('\n').flatMap(line => {
+    // Nested list items keep their indentation
+    const indent = line.match(/^ */)[0];
+    return splitSentences(line).map((sentence, i) => (
+      i === 0 ? { sentence: indent + sentence, separator: '\n' } : { sentence, separator: ' ' }
+    ));
+  });
+
+  for (const { sentence, separator } of sentences) {
+    const candidate = current ? `${current}${separator}${sentence}` : sentence;
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+
+    flush();
+    if (estimateTokens(sentence) <= maxTokens) {
+      current = sentence;
+      continue;
+    }
+
+    for (const word of sentence.split(' ')) {
+      const next = current ? `${current} ${word}` : word;
+      if (estimateTokens(next) > maxTokens) {
+        flush();
+        current = word;
+      } else {
+        current = next;
+      }
+    }
+  }
+
+  flush();
+  return pieces;
+}
+
+/**
+ * Turn one logical entry into one or more chunks sharing its metadata
+ * Continuation pieces repeat the heading so they still make sense on their own.
+ */
+function buildChunks(text, { section, heading, anchor, maxTokens }) {
+  const pieces = packSentences(text, maxTokens);
+
+  return pieces.map((piece, i) => ({
+    content: i > 0 && heading ? `${heading}:${/^\s*(-|#)/.test(piece) ? '\n' : ' '}${piece}` : piece,
+    section,
+    heading,
+    anchor,
+    part: i + 1,
+    parts: pieces.length
+  }));
+}
+
+/**
+ * Find the top-level entries (cards, timeline items...) of a section
+ * Returns the selector that matched along with the entry elements.
+ */
+function findEntries($, $section) {
+  for (const selector of ENTRY_SELECTORS) {
+    const entries = $section.find(selector).toArray();
+    if (entries.length === 0) continue;
+
+    // Drop entries nested inside another matched entry
+    const entrySet = new Set(entries);
+    return {
+      selector,
+      entries: entries.filter(el => !$(el).parents().toArray().some(parent => entrySet.has(parent)))
+    };
+  }
+
+  return { selector: null, entries: [] };
+}
+
+/**
+ * Chunk a section element: an intro chunk for text outside the entries, then one chunk group per entry
+ */
+function chunkSection($, section, $section, { maxTokens = DEFAULT_MAX_TOKENS, baseUrl = null } = {}) {
+  const sectionAnchor = $section.attr('id') || section;
+  const sectionHeading = cleanText(nodeText($section.find(HEADING_SELECTOR).get(0) || {})) || null;
+  const { selector, entries } = findEntries($, $section);
+
+  if (entries.length === 0) {
+    return buildChunks(htmlToText($section, { baseUrl }), { section, heading: sectionHeading, anchor: sectionAnchor, maxTokens });
+  }
+
+  const $intro = $section.clone();
+  $intro.find(selector).remove();
+  const introText = htmlToText($intro, { baseUrl });
+  // Skip an intro that is nothing but the section heading
+  const chunks = introText.split('\n').some(line => !/^#{1,6} /.test(line))
+    ? buildChunks(introText, { section, heading: sectionHeading, anchor: sectionAnchor, maxTokens })
+    : [];
+
+  entries.forEach(el => {
+    const $entry = $(el);
+    const heading = cleanText(nodeText($entry.find(`${HEADING_SELECTOR}, .title`).get(0) || {})) || sectionHeading;
+    const anchor = $entry.attr('id') || sectionAnchor;
+    chunks.push(...buildChunks(htmlToText(el, { baseUrl }), { section, heading, anchor, maxTokens }));
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunk plain text that has no DOM (static fallback content, extracted entity records)
+ */
+function chunkText(section, text, { heading = null, anchor = section, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  return buildChunks(text, { section, heading, anchor, maxTokens });
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  estimateTokens,
+  splitSentences,
+  nodeText,
+  findEntries,
+  chunkSection,
+  chunkText
+};
@@ -0,0 +1,67 @@
+// Numbered source citations for retrieved context
+// Each context entry gets a [n] marker the model can cite; the same numbers are
+// returned to the client with deep links into the portfolio.
+
+const { getConfig } = require('./config');
+
+const CITATION_INSTRUCTIONS = `Each context entry starts with a source number in square brackets, e.g. [1].
+When a sentence uses information from an entry, cite it inline with that number, e.g. "He built a waste detector with YOLO [2]."
+Only cite numbers that appear in the context. Entries labelled "from resume" come from Ahmed's CV; say so when you rely on them.`;
+
+/**
+ * Deep link for a chunk: its own URL if it has one, otherwise the portfolio page plus anchor
+ * Chunks from other sources without a URL (e.g. a local resume file) have no link.
+ */
+function chunkUrl(chunk, baseUrl) {
+  if (chunk.url) {
+    return chunk.anchor && !chunk.url.includes('#') ? `${chunk.url}#${chunk.anchor}` : chunk.url;
+  }
+  if (chunk.source && chunk.source !== 'portfolio') {
+    return null;
+  }
+  return `${baseUrl}#${chunk.anchor || chunk.section}`;
+}
+
+/**
+ * Number retrieved chunks and build the citation list plus the context text sent to the model
+ * Chunks from the same section/heading/link share one citation number.
+ */
+function buildCitations(items, { baseUrl = getConfig().baseUrl } = {}) {
+  const citations = [];
+  const idByKey = new Map();
+
+  const contextParts = items.map(item => {
+    const { chunk } = item;
+    const url = chunkUrl(chunk, baseUrl);
+    const source = chunk.source || 'portfolio';
+    const key = `${source}|${chunk.section}|${chunk.heading || ''}|${url}`;
+
+    if (!idByKey.has(key)) {
+      idByKey.set(key, citations.length + 1);
+      citations.push({
+        id: citations.length + 1,
+        section: chunk.section,
+        heading: chunk.heading || null,
+        source,
+        url
+      });
+    }
+
+    const label = [
+      source !== 'portfolio' ? `from ${source}` : null,
+      chunk.section,
+      chunk.heading
+    ].filter(Boolean).join(' - ');
+    return `[${idByKey.get(key)}] (${label}): ${chunk.content}`;
+  });
+
+  return {
+    citations,
+    context: contextParts.join('\n\n')
+  };
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  buildCitations
+};
@@ -0,0 +1,277 @@
+// Portfolio content configuration: source URLs, sections, selectors and weights
+// Read from portfolio.config.json (or PORTFOLIO_CONFIG) with env overrides, and validated
+// once so every handler scrapes the same sections the same way.
+
+const fs = require('fs');
+const path = require('path');
+const { SECTION_KEYWORDS } = require('./section-keywords');
+const { DEFAULT_API_URL: GITHUB_API_URL } = require('./github');
+const { htmlToText } = require('./html-to-text');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'portfolio.config.json');
+
+const SOURCE_TYPES = ['portfolio', 'github', 'resume'];
+
+const RESUME_FORMATS = ['pdf', 'json'];
+
+const GITHUB_REPO = /^[\w.-]+\/[\w.-]+$/;
+
+const SECTION_NAME = /^[a-z][a-z0-9-]*$/;
+
+const ELEMENT_ID = /^[\w-]+$/;
+
+// Element ids in a selector such as "#about" or "main section#work-history"
+const SELECTOR_ID = /#([\w-]+)/g;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply environment overrides (PORTFOLIO_*, GITHUB_API_URL, RESUME_PATH) on top of the file config
+ */
+function applyEnvOverrides(raw, env) {
+  const config = { ...raw };
+
+  if (env.PORTFOLIO_URL) {
+    const sources = Array.isArray(config.sources) ? config.sources.filter(source => source?.type !== 'portfolio') : [];
+    config.sources = [{ type: 'portfolio', url: env.PORTFOLIO_URL }, ...sources];
+  }
+  if (env.PORTFOLIO_CONTENT_SELECTOR) {
+    config.contentSelector = env.PORTFOLIO_CONTENT_SELECTOR;
+  }
+  if (env.PORTFOLIO_EXCLUDE_SELECTORS !== undefined) {
+    config.excludeSelectors = env.PORTFOLIO_EXCLUDE_SELECTORS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (env.RESUME_PATH) {
+    const sources = Array.isArray(config.sources) ? config.sources.filter(source => source?.type !== 'resume') : [];
+    config.sources = [...sources, { type: 'resume', path: env.RESUME_PATH }];
+  }
+  if (env.GITHUB_API_URL && Array.isArray(config.sources)) {
+    // Point every GitHub source at a local stand-in or recorded-fixture server
+    config.sources = config.sources.map(source => (source?.type === 'github' ? { ...source, apiUrl: env.GITHUB_API_URL } : source));
+  }
+
+  return config;
+}
+
+/**
+ * Collect every problem with a raw config instead of stopping at the first one
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (!Array.isArray(config.sources) || config.sources.length === 0) {
+    errors.push('sources must be a non-empty array');
+  } else {
+    config.sources.forEach((source, i) => {
+      if (!SOURCE_TYPES.includes(source?.type)) {
+        errors.push(`sources[${i}].type must be one of: ${SOURCE_TYPES.join(', ')}`);
+      }
+      if (source?.type === 'portfolio' && !isHttpUrl(source.url)) {
+        errors.push(`sources[${i}].url must be an http(s) URL`);
+      }
+      if (source?.type === 'resume') {
+        if (!isNonEmptyString(source.path)) {
+          errors.push(`sources[${i}].path must be a non-empty string`);
+        }
+        if (source.format !== undefined && !RESUME_FORMATS.includes(source.format)) {
+          errors.push(`sources[${i}].format must be one of: ${RESUME_FORMATS.join(', ')}`);
+        }
+        if (source.url !== undefined && !isHttpUrl(source.url)) {
+          errors.push(`sources[${i}].url must be an http(s) URL`);
+        }
+      }
+      if (source?.type === 'github') {
+        if (source.apiUrl !== undefined && !isHttpUrl(source.apiUrl)) {
+          errors.push(`sources[${i}].apiUrl must be an http(s) URL`);
+        }
+        const repos = source.repos;
+        // An empty list is allowed: the source stays configured but fetches nothing
+        if (!Array.isArray(repos)) {
+          errors.push(`sources[${i}].repos must be an array`);
+        } else {
+          repos.forEach((entry, j) => {
+            const repo = typeof entry === 'string' ? entry : entry?.repo;
+            if (!GITHUB_REPO.test(repo || '')) {
+              errors.push(`sources[${i}].repos[${j}] must be "owner/name" or { "repo": "owner/name", "project": "<project id>" }`);
+            }
+          });
+        }
+      }
+    });
+    if (config.sources.filter(source => source?.type === 'portfolio').length !== 1) {
+      errors.push('sources must contain exactly one "portfolio" source');
+    }
+  }
+
+  if (!isNonEmptyString(config.contentSelector)) {
+    errors.push('contentSelector must be a non-empty string');
+  }
+  if (config.excludeSelectors !== undefined &&
+      (!Array.isArray(config.excludeSelectors) || !config.excludeSelectors.every(isNonEmptyString))) {
+    errors.push('excludeSelectors must be an array of selectors');
+  }
+
+  if (!Array.isArray(config.sections) || config.sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+  } else {
+    const names = new Set();
+    config.sections.forEach((section, i) => {
+      if (!SECTION_NAME.test(section?.name || '')) {
+        errors.push(`sections[${i}].name must be lowercase letters, digits or dashes`);
+      } else if (names.has(section.name)) {
+        errors.push(`sections[${i}].name "${section.name}" is duplicated`);
+      } else {
+        names.add(section.name);
+      }
+      if (!isNonEmptyString(section?.selector)) {
+        errors.push(`sections[${i}].selector must be a non-empty string`);
+      }
+      if (section?.weight !== undefined && !(typeof section.weight === 'number' && section.weight > 0)) {
+        errors.push(`sections[${i}].weight must be a positive number`);
+      }
+      if (section?.priority !== undefined && typeof section.priority !== 'boolean') {
+        errors.push(`sections[${i}].priority must be true or false`);
+      }
+      if (section?.required !== undefined && typeof section.required !== 'boolean') {
+        errors.push(`sections[${i}].required must be true or false`);
+      }
+      if (section?.anchor !== undefined && !(typeof section.anchor === 'string' && ELEMENT_ID.test(section.anchor))) {
+        errors.push(`sections[${i}].anchor must be an element id`);
+      }
+      if (section?.minLength !== undefined && !(Number.isInteger(section.minLength) && section.minLength >= 0)) {
+        errors.push(`sections[${i}].minLength must be a non-negative integer`);
+      }
+      if (section?.keywords !== undefined &&
+          (!Array.isArray(section.keywords) || !section.keywords.every(isNonEmptyString))) {
+        errors.push(`sections[${i}].keywords must be an array of strings`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Page anchor of a section: its configured `anchor`, the id the selector targets (the last one
+ * of the first selector in a list), or the section name
+ */
+function sectionAnchor(section) {
+  if (section.anchor) return section.anchor;
+  const ids = [...section.selector.split(',')[0].matchAll(SELECTOR_ID)];
+  return ids.length > 0 ? ids[ids.length - 1][1] : section.name;
+}
+
+/**
+ * Fill in source defaults: GitHub API URL and repo entries, absolute resume paths
+ */
+function normalizeSource(source, filePath) {
+  switch (source.type) {
+    case 'github':
+      return {
+        type: 'github',
+        apiUrl: source.apiUrl || GITHUB_API_URL,
+        repos: source.repos.map(entry => (typeof entry === 'string'
+          ? { repo: entry, project: null }
+          : { repo: entry.repo, project: entry.project || null }))
+      };
+    case 'resume':
+      // Relative resume paths are resolved against the config file
+      return { ...source, path: path.resolve(path.dirname(filePath), source.path) };
+    default:
+      return { ...source };
+  }
+}
+
+/**
+ * Load, override and validate the portfolio config
+ * Throws with every validation problem listed when the config is invalid.
+ */
+function loadConfig({ filePath = process.env.PORTFOLIO_CONFIG || DEFAULT_CONFIG_PATH, env = process.env } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read portfolio config ${filePath}: ${error.message}`);
+  }
+
+  const config = applyEnvOverrides(raw, env);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid portfolio config ${filePath}:\n - ${errors.join('\n - ')}`);
+  }
+
+  const sections = config.sections.map(section => ({
+    name: section.name,
+    selector: section.selector,
+    priority: section.priority || false,
+    weight: section.weight ?? 1,
+    // Citation deep link (#anchor on the portfolio page)
+    anchor: sectionAnchor(section),
+    // Scrape health: sections are expected unless marked optional; minLength defaults to SCRAPE_MIN_SECTION_LENGTH
+    required: section.required !== false,
+    minLength: section.minLength,
+    // Built-in bilingual keywords for known sections, the section name otherwise
+    keywords: section.keywords || SECTION_KEYWORDS[section.name] || [section.name]
+  }));
+
+  return {
+    baseUrl: config.sources.find(source => source.type === 'portfolio').url,
+    sources: config.sources.map(source => normalizeSource(source, filePath)),
+    contentSelector: config.contentSelector,
+    excludeSelectors: config.excludeSelectors || [],
+    sections
+  };
+}
+
+let cachedConfig = null;
+
+/**
+ * Config shared by all handlers, loaded on first use
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Markdown-ish text of every configured section plus the page-wide fallback text
+ * Returns { sections: { name: text }, fullContent }.
+ */
+function extractSections($, config = getConfig()) {
+  if (config.excludeSelectors.length > 0) {
+    $(config.excludeSelectors.join(', ')).remove();
+  }
+
+  return {
+    sections: Object.fromEntries(config.sections.map(section => [
+      section.name,
+      htmlToText($(section.selector), { baseUrl: config.baseUrl })
+    ])),
+    fullContent: htmlToText($(config.contentSelector).first(), { baseUrl: config.baseUrl })
+  };
+}
+
+/**
+ * Human-readable list of section names for prompts
+ */
+function sectionList(config = getConfig()) {
+  return config.sections.map(section => section.name).join(', ');
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  getConfig,
+  extractSections,
+  sectionList
+};
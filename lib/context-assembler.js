@@ -0,0 +1,207 @@
+// Prompt assembly under a token budget
+// Estimates tokens for the system prompt, retrieved context, question and history. The latest
+// turns are kept verbatim; older turns are folded into a compact summary ("memory") that rolls
+// forward as the conversation grows, so long chats stop growing the prompt every turn.
+
+const crypto = require('crypto');
+const { estimateTokens } = require('./chunker');
+const { historyToMessages } = require('./llm');
+
+// Whole prompt (system + context + history + question), below small local models' windows
+const DEFAULT_PROMPT_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET || '6000', 10);
+
+// History share of the prompt: summary plus verbatim turns
+const DEFAULT_HISTORY_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET || '1500', 10);
+
+// Latest history entries (user + model turns) kept word for word
+const DEFAULT_RECENT_TURNS = parseInt(process.env.HISTORY_RECENT_TURNS || '6', 10);
+
+// Upper bound for the summary of older turns
+const SUMMARY_MAX_TOKENS = 250;
+const SUMMARY_HEADING = 'Summary of the earlier conversation:';
+
+// Summary strategy: 'llm' (chat provider, heuristic fallback), 'heuristic' or 'off' (drop older turns)
+const HISTORY_SUMMARY = process.env.HISTORY_SUMMARY || 'llm';
+
+// Characters of each older turn kept by the heuristic summary
+const HEURISTIC_TURN_LENGTH = 160;
+
+// LLM summaries by conversation prefix, so the next turn only folds in what was added since
+const SUMMARY_CACHE_SIZE = 100;
+const summaryCache = new Map();
+
+const SUMMARY_PROMPT = `You keep a running memory of a chat between a user and the assistant for Ahmed's portfolio.
+Merge the previous memory (if any) with the new turns into one compact summary of at most ${SUMMARY_MAX_TOKENS * 3} characters.
+Keep what later questions may refer to: topics asked about, projects, names, numbers and lists the assistant gave, and the user's language.
+Return only the summary, with no preamble.`;
+
+const messageTokens = message => estimateTokens(message.text);
+
+function truncate(text, length) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length).trim()}…` : clean;
+}
+
+/**
+ * Digest of every history prefix: prefixKeys[n] identifies messages[0..n)
+ */
+function prefixKeys(messages) {
+  const hash = crypto.createHash('sha1');
+  const keys = [hash.copy().digest('hex')];
+  messages.forEach(message => {
+    hash.update(`${message.role}\u0000${message.text}\u0000`);
+    keys.push(hash.copy().digest('hex'));
+  });
+  return keys;
+}
+
+function rememberSummary(key, summary) {
+  summaryCache.delete(key);
+  summaryCache.set(key, summary);
+  if (summaryCache.size > SUMMARY_CACHE_SIZE) {
+    summaryCache.delete(summaryCache.keys().next().value);
+  }
+}
+
+/**
+ * Heuristic memory: the previous one plus a truncated line per turn, newest lines kept within budget
+ */
+function summarizeHeuristically(previous, turns) {
+  const lines = [
+    ...(previous ? previous.split('\n') : []),
+    ...turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${truncate(turn.text, HEURISTIC_TURN_LENGTH)}`)
+  ];
+
+  const kept = [];
+  let tokens = 0;
+  for (const line of lines.reverse()) {
+    tokens += estimateTokens(line);
+    if (tokens > SUMMARY_MAX_TOKENS) break;
+    kept.unshift(line);
+  }
+  return kept.join('\n');
+}
+
+async function summarizeWithLLM(previous, turns, llm, signal) {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`)
+    .join('\n');
+
+  const { reply: summary } = await llm.generate({
+    system: SUMMARY_PROMPT,
+    messages: [
+      { role: 'user', text: `Previous memory:\n${previous || '(none)'}\n\nNew turns:\n${transcript}` }
+    ],
+    generationConfig: { temperature: 0, maxOutputTokens: SUMMARY_MAX_TOKENS },
+    signal
+  });
+
+  if (!summary) {
+    throw new Error('Empty summary');
+  }
+  // Models overshoot maxOutputTokens' intent often enough to enforce it here too
+  return truncate(summary, SUMMARY_MAX_TOKENS * 4 - 1);
+}
+
+/**
+ * Summary of older history entries, continuing from the longest prefix summarized before
+ * Returns { summary, method } where method is 'llm', 'cached' or 'heuristic'.
+ */
+async function summarizeTurns(older, { llm, signal, mode }) {
+  const keys = prefixKeys(older);
+  let start = older.length;
+  while (start > 0 && !summaryCache.has(keys[start])) start--;
+
+  const previous = start > 0 ? summaryCache.get(keys[start]) : null;
+  if (start === older.length) {
+    return { summary: previous, method: 'cached' };
+  }
+
+  const turns = older.slice(start);
+  if (mode === 'llm' && llm) {
+    try {
+      const summary = await summarizeWithLLM(previous, turns, llm, signal);
+      rememberSummary(keys[older.length], summary);
+      return { summary, method: 'llm' };
+    } catch (error) {
+      console.warn(`⚠️ History summary with ${llm.name} failed, using heuristic:`, error.message);
+    }
+  }
+  return { summary: summarizeHeuristically(previous, turns), method: 'heuristic' };
+}
+
+/**
+ * Chat request messages within the token budget:
+ * [context, summary of older turns, latest turns verbatim, question]
+ *
+ * `context` and `question` are the full message texts. Returns { messages, budget } where budget
+ * is the token breakdown reported in the handlers' debug output. `signal` bounds the summary call.
+ */
+async function assembleContext({ system = '', context, history, question }, {
+  llm = null,
+  signal = null,
+  mode = HISTORY_SUMMARY,
+  promptBudget = DEFAULT_PROMPT_BUDGET,
+  historyBudget = DEFAULT_HISTORY_BUDGET,
+  recentTurns = DEFAULT_RECENT_TURNS
+} = {}) {
+  const contextMessage = { role: 'user', text: context };
+  const questionMessage = { role: 'user', text: question };
+  const turns = historyToMessages(history).filter(turn => turn.text);
+
+  const fixed = {
+    system: estimateTokens(system),
+    context: messageTokens(contextMessage),
+    question: messageTokens(questionMessage)
+  };
+  const available = Math.max(Math.min(historyBudget, promptBudget - fixed.system - fixed.context - fixed.question), 0);
+
+  // Newest turns first, while they fit (the summary's share is set aside when turns will be left over)
+  const overflows = turns.length > recentTurns || turns.reduce((sum, turn) => sum + messageTokens(turn), 0) > available;
+  const summaryAllowance = overflows ? SUMMARY_MAX_TOKENS + estimateTokens(SUMMARY_HEADING) + 1 : 0;
+  let kept = 0;
+  let historyTokens = 0;
+  while (kept < Math.min(recentTurns, turns.length)) {
+    const tokens = messageTokens(turns[turns.length - 1 - kept]);
+    if (historyTokens + tokens > Math.max(available - summaryAllowance, 0)) break;
+    historyTokens += tokens;
+    kept++;
+  }
+
+  const recent = turns.slice(turns.length - kept);
+  const older = turns.slice(0, turns.length - kept);
+
+  let summary = null;
+  let summaryMethod = 'none';
+  if (older.length > 0 && mode !== 'off') {
+    ({ summary, method: summaryMethod } = await summarizeTurns(older, { llm, signal, mode }));
+  }
+  const summaryMessage = summary ? { role: 'user', text: `${SUMMARY_HEADING}\n${summary}` } : null;
+
+  const messages = [contextMessage, ...(summaryMessage ? [summaryMessage] : []), ...recent, questionMessage];
+  const tokens = {
+    ...fixed,
+    summary: summaryMessage ? messageTokens(summaryMessage) : 0,
+    history: historyTokens
+  };
+
+  return {
+    messages,
+    budget: {
+      tokens: { ...tokens, total: Object.values(tokens).reduce((sum, count) => sum + count, 0) },
+      promptBudget,
+      historyBudget: available,
+      turns: {
+        total: turns.length,
+        verbatim: recent.length,
+        summarized: mode === 'off' ? 0 : older.length,
+        dropped: mode === 'off' ? older.length : 0
+      },
+      summaryMethod
+    }
+  };
+}
+
+module.exports = {
+  assembleContext
+};
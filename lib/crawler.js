@@ -0,0 +1,282 @@
+// Bounded same-origin crawler for the portfolio site
+// Follows internal links (and sitemap.xml when present) from the start page so project
+// detail pages, posts and case studies reach the index. Honors robots.txt.
+
+const cheerio = require('cheerio');
+const { chunkText } = require('./chunker');
+const { htmlToText } = require('./html-to-text');
+const { timeoutSignal } = require('./deadline');
+
+// How many links deep to follow from the start page (0 = start page only)
+const DEFAULT_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH || '1', 10);
+
+// Upper bound on fetched pages, start page included
+const DEFAULT_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || '10', 10);
+
+// Seed the crawl from sitemap.xml unless disabled
+const DEFAULT_USE_SITEMAP = process.env.CRAWL_SITEMAP !== 'false';
+
+const USER_AGENT = 'PortfolioChatbot';
+
+// Section name for chunks that come from crawled pages other than the start page
+const PAGE_SECTION = 'pages';
+
+// Links to files that are never worth fetching as pages
+const SKIPPED_EXTENSIONS = /\.(pdf|png|jpe?g|gif|svg|webp|ico|zip|gz|mp4|mp3|css|js|json|xml|txt)$/i;
+
+// Elements that carry no page content
+const NOISE_SELECTOR = 'script, style, noscript, nav, header, footer, iframe, svg';
+
+/**
+ * GET a URL as text; with a `cached` copy ({ etag, lastModified, html }) the request is
+ * conditional and a 304 answers with the cached HTML
+ */
+async function fetchText(url, cached = null) {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = { 'User-Agent': USER_AGENT };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  // Timeout so one slow page can't stall the warm-up (FETCH_TIMEOUT_MS)
+  const response = await fetch(url, { headers, signal: timeoutSignal() });
+
+  if (response.status === 304 && cached) {
+    return {
+      ok: true,
+      status: 304,
+      notModified: true,
+      contentType: 'text/html',
+      etag: cached.etag,
+      lastModified: cached.lastModified,
+      text: cached.html
+    };
+  }
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    notModified: false,
+    contentType: response.headers.get('content-type') || '',
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    text: response.ok ? await response.text() : ''
+  };
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us plus any Sitemap lines
+ * Uses the group naming our user agent if there is one, otherwise the "*" group.
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+
+  String(text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  const ours = groups.find(group => group.agents.some(agent => agent !== '*' && USER_AGENT.toLowerCase().includes(agent)));
+  const wildcard = groups.find(group => group.agents.includes('*'));
+
+  return {
+    rules: (ours || wildcard)?.rules || [],
+    sitemaps
+  };
+}
+
+function rulePattern(path) {
+  const escaped = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped.endsWith('\\$') ? `${escaped.slice(0, -2)}$` : escaped}`);
+}
+
+/**
+ * Longest matching rule wins; Allow wins ties
+ */
+function isAllowed(robots, pathname) {
+  let best = null;
+  robots.rules.forEach(rule => {
+    if (!rulePattern(rule.path).test(pathname)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+/**
+ * Page URLs listed in a sitemap, following one level of sitemap index files
+ */
+async function readSitemap(url, nested = false) {
+  try {
+    const { ok, text } = await fetchText(url);
+    if (!ok) return [];
+
+    const locations = [...text.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)].map(match => match[1]);
+    if (/<sitemapindex/i.test(text) && !nested) {
+      const lists = await Promise.all(locations.map(location => readSitemap(location, true)));
+      return lists.flat();
+    }
+    return locations;
+  } catch (error) {
+    console.warn(`⚠️ Could not read sitemap ${url}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Title of a page: its <title>, else its first heading
+ */
+function pageTitle($) {
+  return $('title').first().text().trim() || $('h1').first().text().trim() || null;
+}
+
+/**
+ * Markdown-ish text and title of a crawled page (links resolved against `url`)
+ */
+function pageContent($, url = null) {
+  const title = pageTitle($);
+  const $root = $('main, article, body').first().clone();
+  $root.find(NOISE_SELECTOR).remove();
+  const text = htmlToText($root, { baseUrl: url });
+  return { title, text };
+}
+
+/**
+ * Chunk every crawled page except the start page, with the page URL as the citation link
+ */
+function chunkPages(pages, options = {}) {
+  return pages
+    .filter(page => page.depth > 0)
+    .flatMap(page => {
+      const { title, text } = pageContent(page.$, page.url);
+      return chunkText(PAGE_SECTION, text, { ...options, heading: title, anchor: null })
+        .map(chunk => ({ ...chunk, url: page.url }));
+    });
+}
+
+/**
+ * Crawl from startUrl within its origin and directory
+ * `previousPages` (from an earlier crawl) make page requests conditional on their ETag/Last-Modified.
+ * Returns pages in visit order ({ url, depth, title, $, html, etag, lastModified, notModified });
+ * the start page comes first.
+ */
+async function crawlSite(startUrl, {
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxPages = DEFAULT_MAX_PAGES,
+  useSitemap = DEFAULT_USE_SITEMAP,
+  previousPages = []
+} = {}) {
+  const cachedPages = new Map(previousPages.map(page => [page.url, page]));
+  const start = new URL(startUrl);
+  const scope = start.origin + start.pathname.replace(/[^/]*$/, '');
+
+  const normalize = href => {
+    try {
+      const url = new URL(href, start);
+      url.hash = '';
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  };
+  const inScope = url => url.startsWith(scope) && !SKIPPED_EXTENSIONS.test(new URL(url).pathname);
+
+  let robots = { rules: [], sitemaps: [] };
+  try {
+    const response = await fetchText(`${start.origin}/robots.txt`);
+    if (response.ok) robots = parseRobots(response.text);
+  } catch (error) {
+    console.warn('⚠️ Could not read robots.txt, crawling without it:', error.message);
+  }
+
+  const queue = [{ url: normalize(startUrl), depth: 0 }];
+  const seen = new Set([queue[0].url]);
+  const enqueue = (url, depth) => {
+    if (url && !seen.has(url) && inScope(url)) {
+      seen.add(url);
+      queue.push({ url, depth });
+    }
+  };
+
+  if (useSitemap && maxDepth > 0) {
+    const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${scope}sitemap.xml`];
+    const listed = (await Promise.all(sitemapUrls.map(url => readSitemap(url)))).flat();
+    listed.forEach(url => enqueue(normalize(url), 1));
+  }
+
+  const pages = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+
+    if (!isAllowed(robots, new URL(url).pathname)) {
+      if (depth === 0) throw new Error(`robots.txt disallows ${url}`);
+      console.log(`🚫 Skipping ${url} (disallowed by robots.txt)`);
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetchText(url, cachedPages.get(url));
+    } catch (error) {
+      // The start page is required; anything else is best effort
+      if (depth === 0) throw error;
+      console.warn(`⚠️ Failed to fetch ${url}:`, error.message);
+      continue;
+    }
+
+    if (!response.ok || !response.contentType.includes('html')) {
+      if (depth === 0) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+      continue;
+    }
+
+    const $ = cheerio.load(response.text);
+    pages.push({
+      url,
+      depth,
+      title: pageTitle($),
+      $,
+      html: response.text,
+      etag: response.etag,
+      lastModified: response.lastModified,
+      notModified: response.notModified
+    });
+
+    if (depth < maxDepth) {
+      $('a[href]').each((_, a) => enqueue(normalize($(a).attr('href')), depth + 1));
+    }
+  }
+
+  console.log(`🕸️ Crawled ${pages.length} page(s) from ${scope}`);
+  return pages;
+}
+
+module.exports = {
+  PAGE_SECTION,
+  crawlSite,
+  chunkPages,
+  pageContent,
+  parseRobots,
+  isAllowed
+};
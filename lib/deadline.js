@@ -0,0 +1,110 @@
+// Request deadlines and upstream timeouts
+// Every chat request gets a time budget shorter than the platform's function limit. Its
+// AbortSignal is passed to each upstream call, and waits that would outlive the budget give up
+// early, so the handler can still answer with partial or fallback content.
+
+// Netlify and Vercel stop synchronous functions after 10 seconds by default
+const REQUEST_DEADLINE_MS = parseInt(process.env.REQUEST_DEADLINE_MS || '9000', 10);
+
+// Budget kept for query rewriting and the LLM when waiting on the cache
+const ANSWER_RESERVE_MS = parseInt(process.env.ANSWER_RESERVE_MS || '4000', 10);
+
+// Query rewriting and query embedding are optional: each gives up after this long and falls
+// back (heuristic rewrite, keyword retrieval)
+const QUERY_STAGE_TIMEOUT_MS = parseInt(process.env.QUERY_STAGE_TIMEOUT_MS || '2000', 10);
+
+// Upper bound for one upstream fetch (pages, GitHub, embeddings), also outside requests
+const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS || '10000', 10);
+
+function deadlineError(message, stage) {
+  const error = new Error(message);
+  error.code = 'DEADLINE_EXCEEDED';
+  error.stage = stage;
+  return error;
+}
+
+/**
+ * Whether an error comes from a deadline or an aborted fetch rather than the upstream service
+ */
+function isDeadlineError(error) {
+  return error?.code === 'DEADLINE_EXCEEDED' || error?.name === 'AbortError';
+}
+
+/**
+ * AbortSignal that aborts after timeoutMs, or as soon as one of the given signals aborts
+ */
+function timeoutSignal(timeoutMs = FETCH_TIMEOUT_MS, ...signals) {
+  const controller = new AbortController();
+  const abort = reason => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+
+  const timer = setTimeout(() => abort(deadlineError(`Timed out after ${timeoutMs}ms`)), Math.max(timeoutMs, 0));
+  // Never keep the process alive just for a timeout
+  timer.unref?.();
+  controller.signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+
+  signals.filter(Boolean).forEach(signal => {
+    if (signal.aborted) {
+      abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => abort(signal.reason), { once: true });
+    }
+  });
+
+  return controller.signal;
+}
+
+/**
+ * Time budget for one request
+ * `signal` aborts when the budget runs out; stageSignal() and within() carve out shorter
+ * stages and can keep part of the budget (reserveMs) for the stages after them.
+ */
+function createDeadline(budgetMs = REQUEST_DEADLINE_MS) {
+  const startedAt = Date.now();
+  const expiresAt = startedAt + budgetMs;
+  const signal = timeoutSignal(budgetMs);
+
+  const remaining = () => Math.max(expiresAt - Date.now(), 0);
+  const available = ({ timeoutMs = Infinity, reserveMs = 0 }) => Math.max(Math.min(timeoutMs, remaining() - reserveMs), 0);
+
+  return {
+    signal,
+    remaining,
+
+    elapsed() {
+      return Date.now() - startedAt;
+    },
+
+    /**
+     * Signal for one stage: aborts after timeoutMs, when only reserveMs is left, or with the request
+     */
+    stageSignal(options = {}) {
+      return timeoutSignal(available(options), signal);
+    },
+
+    /**
+     * Wait for a promise the request does not own (e.g. a shared cache warm-up)
+     * Rejects with a DEADLINE_EXCEEDED error when the stage runs out of time; the promise keeps running.
+     */
+    within(promise, { stage = 'request', ...options } = {}) {
+      const ms = available(options);
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(deadlineError(`${stage} did not finish within ${ms}ms`, stage)), ms);
+      });
+
+      // A rejection after the deadline has nobody waiting for it
+      Promise.resolve(promise).catch(() => {});
+      return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+  };
+}
+
+module.exports = {
+  ANSWER_RESERVE_MS,
+  QUERY_STAGE_TIMEOUT_MS,
+  isDeadlineError,
+  timeoutSignal,
+  createDeadline
+};
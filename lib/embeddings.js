@@ -0,0 +1,239 @@
+// Pluggable embedding providers
+// Every provider exposes { name, model, dimension, embedDocuments(texts), embedQuery(text) }
+// and throws on failure instead of returning placeholder vectors. Both calls take an optional
+// { signal } to cancel them with the request; each API call also times out on its own.
+
+const { tokenize, normalizeText } = require('./text');
+const { timeoutSignal } = require('./deadline');
+
+const GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const GEMINI_DIMENSION = 768;
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const OPENAI_DIMENSION = 1536;
+
+// Hashed feature space for the local provider
+const LOCAL_DIMENSION = 512;
+
+/**
+ * Google text-embedding-004 over the Generative Language API
+ * Documents go through batchEmbedContents, up to 100 texts per call.
+ */
+function createGeminiEmbeddingProvider({ apiKey, model = GEMINI_EMBEDDING_MODEL, batchSize = 100 } = {}) {
+  if (!apiKey) {
+    throw new Error('Gemini embedding provider requires an API key');
+  }
+
+  async function request(method, body, signal) {
+    const fetch = (await import('node-fetch')).default;
+
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-goog-api-key': apiKey
+      },
+      body: JSON.stringify(body),
+      signal: timeoutSignal(undefined, signal)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gemini Embedding API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  const toRequest = text => ({
+    model: `models/${model}`,
+    content: {
+      parts: [{ text }]
+    }
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    dimension: GEMINI_DIMENSION,
+
+    async embedDocuments(texts, { signal } = {}) {
+      const embeddings = [];
+
+      for (let start = 0; start < texts.length; start += batchSize) {
+        const batch = texts.slice(start, start + batchSize);
+        const data = await request('batchEmbedContents', { requests: batch.map(toRequest) }, signal);
+        const values = (data.embeddings || []).map(embedding => embedding.values || []);
+
+        if (values.length !== batch.length || values.some(vector => vector.length === 0)) {
+          throw new Error('Gemini batch embedding returned incomplete results');
+        }
+        embeddings.push(...values);
+      }
+
+      return embeddings;
+    },
+
+    async embedQuery(text, { signal } = {}) {
+      const data = await request('embedContent', toRequest(text), signal);
+      const values = data.embedding?.values || [];
+      if (values.length === 0) {
+        throw new Error('No embedding returned');
+      }
+      return values;
+    }
+  };
+}
+
+/**
+ * OpenAI text-embedding-3-small (1536 dimensions), or any OpenAI-compatible /embeddings endpoint
+ * (e.g. Ollama at http://localhost:11434/v1 with its own model and dimension)
+ */
+function createOpenAIEmbeddingProvider({
+  apiKey,
+  model = OPENAI_EMBEDDING_MODEL,
+  baseUrl = OPENAI_API_URL,
+  dimension = OPENAI_DIMENSION
+} = {}) {
+  if (!apiKey && baseUrl === OPENAI_API_URL) {
+    throw new Error('OpenAI embedding provider requires an API key');
+  }
+
+  async function embed(input, signal) {
+    const fetch = (await import('node-fetch')).default;
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ input, model }),
+      signal: timeoutSignal(undefined, signal)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.data.map(item => item.embedding);
+  }
+
+  return {
+    name: 'openai',
+    model,
+    dimension,
+
+    embedDocuments(texts, { signal } = {}) {
+      return texts.length > 0 ? embed(texts, signal) : Promise.resolve([]);
+    },
+
+    async embedQuery(text, { signal } = {}) {
+      const [embedding] = await embed(text, signal);
+      return embedding;
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Offline embedding: signed feature hashing of words, word bigrams and character trigrams
+ * Character trigrams give partial credit for related word forms ("classify" / "classification"),
+ * which BM25 alone does not.
+ */
+function createLocalEmbeddingProvider({ dimension = LOCAL_DIMENSION } = {}) {
+  function embed(text) {
+    const vector = new Array(dimension).fill(0);
+    const terms = tokenize(text);
+
+    const addFeature = (feature, weight) => {
+      const hash = hashString(feature);
+      const sign = hashString(`~${feature}`) & 1 ? 1 : -1;
+      vector[hash % dimension] += sign * weight;
+    };
+
+    terms.forEach((term, i) => {
+      addFeature(`w:${term}`, 1);
+
+      if (i > 0) {
+        addFeature(`b:${terms[i - 1]} ${term}`, 0.5);
+      }
+
+      const padded = `<${normalizeText(term)}>`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        addFeature(`c:${padded.slice(j, j + 3)}`, 0.3);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  return {
+    name: 'local',
+    model: `hashed-ngrams-${dimension}`,
+    dimension,
+
+    async embedDocuments(texts) {
+      return texts.map(embed);
+    },
+
+    async embedQuery(text) {
+      return embed(text);
+    }
+  };
+}
+
+/**
+ * Create an embedding provider by name ('gemini', 'openai', 'local' or 'mock', an alias of local)
+ */
+function createEmbeddingProvider(name, options = {}) {
+  switch (name) {
+    case 'gemini':
+      return createGeminiEmbeddingProvider(options);
+    case 'openai':
+      return createOpenAIEmbeddingProvider(options);
+    case 'local':
+    case 'mock':
+      return createLocalEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider: ${name}`);
+  }
+}
+
+/**
+ * Embedding provider selected by EMBEDDING_PROVIDER (default 'gemini'), with EMBEDDING_MODEL,
+ * EMBEDDING_BASE_URL, EMBEDDING_DIMENSION and EMBEDDING_API_KEY overrides
+ * The API key defaults to GEMINI_API_KEY or OPENAI_API_KEY for the matching provider.
+ */
+function createEmbeddingProviderFromEnv(env = process.env) {
+  const name = env.EMBEDDING_PROVIDER || 'gemini';
+  const providerKey = { gemini: env.GEMINI_API_KEY, openai: env.OPENAI_API_KEY }[name];
+
+  return createEmbeddingProvider(name, {
+    apiKey: env.EMBEDDING_API_KEY || providerKey,
+    model: env.EMBEDDING_MODEL || undefined,
+    baseUrl: env.EMBEDDING_BASE_URL || undefined,
+    dimension: env.EMBEDDING_DIMENSION ? parseInt(env.EMBEDDING_DIMENSION, 10) : undefined
+  });
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createEmbeddingProviderFromEnv,
+  createGeminiEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  createLocalEmbeddingProvider
+};
@@ -0,0 +1,243 @@
+// Entity-level extraction of projects, experience, education and certificates
+// Turns each portfolio card into a typed record instead of one run-on text blob per section.
+
+const { nodeText, findEntries, chunkText } = require('./chunker');
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, .title';
+const TECH_SELECTOR = '.tech, .tech-stack span, .tech-stack li, .technologies li, .technologies span, .tags span, .tag, .badge, .skill-tag';
+const DATE_SELECTOR = '.date, .dates, .duration, .period, time';
+const ORG_SELECTOR = '.company, .organization, .org, .institution, .issuer, .subtitle';
+
+// "Jan 2024 - Present", "2021 – 2025", "03/2023 - 06/2023"
+const DATE_RANGE = /((?:[A-Z][a-z]{2,8}\.?\s+)?\d{4}|\d{1,2}\/\d{4})\s*(?:-|–|—|to)\s*((?:[A-Z][a-z]{2,8}\.?\s+)?\d{4}|\d{1,2}\/\d{4}|present|current|now)/i;
+const SINGLE_DATE = /(?:[A-Z][a-z]{2,8}\.?\s+)?\d{4}/;
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function slugify(text) {
+  return clean(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+function firstText($entry, selector) {
+  const el = $entry.find(selector).get(0);
+  return el ? clean(nodeText(el)) || null : null;
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function entryLinks($, $entry, baseUrl) {
+  return $entry.find('a[href]').toArray()
+    .map(a => ({ text: clean(nodeText(a)), url: absoluteUrl($(a).attr('href'), baseUrl) }))
+    .filter(link => link.url);
+}
+
+function entryDates($entry, text) {
+  const explicit = firstText($entry, DATE_SELECTOR);
+  if (explicit) return explicit;
+  const range = text.match(DATE_RANGE);
+  return range ? range[0] : null;
+}
+
+function entryBullets($, $entry) {
+  return $entry.find('li').toArray()
+    .map(li => clean(nodeText(li)))
+    .filter(Boolean);
+}
+
+function baseRecord($, el, section) {
+  const $entry = $(el);
+  const title = firstText($entry, HEADING_SELECTOR);
+  return {
+    id: $entry.attr('id') || slugify(title || '') || null,
+    anchor: $entry.attr('id') || section,
+    title,
+    text: clean(nodeText(el))
+  };
+}
+
+function extractProject($, el, section, baseUrl) {
+  const $entry = $(el);
+  const record = baseRecord($, el, section);
+  const links = entryLinks($, $entry, baseUrl);
+
+  let technologies = $entry.find(TECH_SELECTOR).toArray().map(t => clean(nodeText(t))).filter(Boolean);
+  if (technologies.length === 0) {
+    const listed = record.text.match(/(?:technologies|tech stack|tools|built with)\s*:\s*([^.]+)/i);
+    technologies = listed ? listed[1].split(/,|\||•/).map(clean).filter(Boolean) : [];
+  }
+
+  const image = $entry.find('img').first();
+
+  return {
+    type: 'project',
+    id: record.id,
+    anchor: record.anchor,
+    title: record.title,
+    summary: firstText($entry, 'p, .description, .summary'),
+    technologies: [...new Set(technologies)],
+    links: {
+      repo: links.find(link => /github\.com|gitlab\.com/.test(link.url))?.url || null,
+      demo: links.find(link => !/github\.com|gitlab\.com/.test(link.url))?.url || null
+    },
+    image: image.length ? { src: absoluteUrl(image.attr('src'), baseUrl), alt: image.attr('alt') || null } : null
+  };
+}
+
+function extractExperience($, el, section) {
+  const $entry = $(el);
+  const record = baseRecord($, el, section);
+  let org = firstText($entry, ORG_SELECTOR);
+  let role = record.title;
+
+  // "Computer Vision Trainee at NTI" / "Trainee @ DEPI"
+  const split = !org && role && role.match(/^(.+?)\s+(?:at|@|-|–)\s+(.+)$/);
+  if (split) {
+    role = split[1];
+    org = split[2];
+  }
+
+  return {
+    type: 'experience',
+    id: record.id,
+    anchor: record.anchor,
+    org,
+    role,
+    dates: entryDates($entry, record.text),
+    summary: firstText($entry, 'p, .description'),
+    bullets: entryBullets($, $entry)
+  };
+}
+
+function extractEducation($, el, section) {
+  const $entry = $(el);
+  const record = baseRecord($, el, section);
+
+  return {
+    type: 'education',
+    id: record.id,
+    anchor: record.anchor,
+    institution: firstText($entry, ORG_SELECTOR),
+    degree: record.title,
+    dates: entryDates($entry, record.text),
+    summary: firstText($entry, 'p, .description'),
+    details: entryBullets($, $entry)
+  };
+}
+
+function extractCertificate($, el, section, baseUrl) {
+  const $entry = $(el);
+  const record = baseRecord($, el, section);
+  const date = firstText($entry, DATE_SELECTOR) || (record.text.match(SINGLE_DATE) || [null])[0];
+
+  return {
+    type: 'certificate',
+    id: record.id,
+    anchor: record.anchor,
+    title: record.title,
+    issuer: firstText($entry, ORG_SELECTOR),
+    date,
+    url: entryLinks($, $entry, baseUrl)[0]?.url || null
+  };
+}
+
+const EXTRACTORS = {
+  projects: extractProject,
+  experience: extractExperience,
+  education: extractEducation,
+  certificates: extractCertificate
+};
+
+/**
+ * Extract typed records for every entity section present in the page
+ * `selectors` maps section names to their CSS selector (defaults to `#name`).
+ * Returns { projects: [...], experience: [...], education: [...], certificates: [...] }.
+ */
+function extractEntities($, { baseUrl, selectors = {} } = {}) {
+  const entities = {};
+
+  for (const [section, extract] of Object.entries(EXTRACTORS)) {
+    const $section = $(selectors[section] || `#${section}`);
+    const { entries } = $section.length ? findEntries($, $section) : { entries: [] };
+    entities[section] = entries
+      .filter(el => clean(nodeText(el)).length > 0)
+      .map(el => extract($, el, section, baseUrl));
+  }
+
+  return entities;
+}
+
+/**
+ * Readable text for one record, used for chunking and prompting
+ */
+function entityToText(record) {
+  const line = (label, value) => (value && (!Array.isArray(value) || value.length > 0)
+    ? `${label}: ${Array.isArray(value) ? value.join(', ') : value}.`
+    : '');
+  const sentence = text => (text ? text.replace(/[.!?]?$/, '.') : '');
+
+  switch (record.type) {
+    case 'project':
+      return [
+        line('Project', record.title),
+        sentence(record.summary),
+        line('Technologies', record.technologies),
+        line('Repository', record.links.repo),
+        line('Demo', record.links.demo)
+      ].filter(Boolean).join(' ');
+    case 'experience':
+      return [
+        line('Role', record.role),
+        line('Organization', record.org),
+        line('Dates', record.dates),
+        sentence(record.summary),
+        ...record.bullets.map(bullet => `${bullet.replace(/\.$/, '')}.`)
+      ].filter(Boolean).join(' ');
+    case 'education':
+      return [
+        line('Degree', record.degree),
+        line('Institution', record.institution),
+        line('Dates', record.dates),
+        sentence(record.summary),
+        ...record.details.map(detail => `${detail.replace(/\.$/, '')}.`)
+      ].filter(Boolean).join(' ');
+    case 'certificate':
+      return [
+        line('Certificate', record.title),
+        line('Issuer', record.issuer),
+        line('Date', record.date),
+        line('Link', record.url)
+      ].filter(Boolean).join(' ');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Chunk a section's records, one chunk group per entity
+ */
+function chunkEntities(section, records, options = {}) {
+  return records.flatMap(record => chunkText(section, entityToText(record), {
+    ...options,
+    heading: record.title || record.role || record.degree || null,
+    anchor: record.anchor
+  }).map(chunk => ({
+    ...chunk,
+    entity: { type: record.type, id: record.id }
+  })));
+}
+
+module.exports = {
+  extractEntities,
+  entityToText,
+  chunkEntities,
+  slugify
+};
@@ -0,0 +1,76 @@
+// Finish reasons of LLM replies
+// Gemini answers 200 with no text when a response is blocked (SAFETY, RECITATION, ...) or its prompt
+// is (promptFeedback.blockReason). Those replies are replaced by a short notice in the user's
+// language; a reply cut off at maxOutputTokens keeps its text with the notice appended.
+
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+const NOTICES = {
+  truncated: {
+    en: 'My answer was cut short. Ask me to continue, or ask about one part at a time.',
+    ar: 'تم اختصار إجابتي. اطلب مني المتابعة، أو اسأل عن جزء واحد في كل مرة.'
+  },
+  blocked: {
+    en: "I can't help with that request. Feel free to ask about Ahmed's projects, skills or experience.",
+    ar: 'لا يمكنني المساعدة في هذا الطلب. يمكنك السؤال عن مشاريع أحمد أو مهاراته أو خبراته.'
+  },
+  recitation: {
+    en: "I couldn't answer that without quoting other sources word for word. Please check the portfolio directly.",
+    ar: 'لم أتمكن من الإجابة دون اقتباس مصادر أخرى حرفيًا. يرجى الاطلاع على الموقع مباشرة.'
+  },
+  empty: {
+    en: "I couldn't come up with an answer. Please try rephrasing your question.",
+    ar: 'لم أتمكن من إيجاد إجابة. يرجى إعادة صياغة سؤالك.'
+  }
+};
+
+// Gemini finish and block reasons (OpenAI's are mapped onto these); other reasons (OTHER, LANGUAGE,
+// OpenAI-compatible TOOL_CALLS, EOS, ...) keep their text and only get the 'empty' notice without one
+const REASON_NOTICES = {
+  MAX_TOKENS: 'truncated',
+  SAFETY: 'blocked',
+  BLOCKLIST: 'blocked',
+  PROHIBITED_CONTENT: 'blocked',
+  SPII: 'blocked',
+  IMAGE_SAFETY: 'blocked',
+  RECITATION: 'recitation'
+};
+
+/**
+ * Language of the notices for a user message: Arabic when it contains Arabic letters
+ */
+function noticeLanguage(message) {
+  return ARABIC_LETTER.test(message || '') ? 'ar' : 'en';
+}
+
+/**
+ * Final reply for an LLM result ({ reply, finishReason }) and the user message it answers
+ * Returns { reply, finishReason, notice }: finishReason is the API's reason ('STOP' when it gave
+ * none, 'EMPTY' for a normal stop without text) and notice the localized message used, or null.
+ */
+function finishReply({ reply, finishReason }, message) {
+  const text = (reply || '').trim();
+  const reason = finishReason || 'STOP';
+
+  let kind = REASON_NOTICES[reason] || null;
+  if (!text && !kind) kind = 'empty';
+  if (!kind) {
+    if (reason !== 'STOP') {
+      console.warn(`⚠️ LLM reply finished with ${reason}, keeping its text`);
+    }
+    return { reply: text, finishReason: reason, notice: null };
+  }
+
+  const notice = NOTICES[kind][noticeLanguage(message)];
+  console.warn(`⚠️ LLM reply finished with ${reason}${text ? '' : ' and no text'}, answering with the ${kind} notice`);
+  return {
+    // A truncated reply is still worth reading; blocked or recited text is not
+    reply: kind === 'truncated' && text ? `${text}\n\n${notice}` : notice,
+    finishReason: !text && reason === 'STOP' ? 'EMPTY' : reason,
+    notice
+  };
+}
+
+module.exports = {
+  finishReply
+};
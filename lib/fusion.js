@@ -0,0 +1,40 @@
+// Rank fusion for combining several retrievers into one ranking
+
+// Damping constant from the original RRF paper (Cormack et al., 2009)
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion
+ * Each ranking is { name, weight, results: [{ index, similarity }] } sorted best first.
+ * Returns fused results sorted by score, each carrying the per-retriever
+ * rank and raw score under `scores[name]` (null when that retriever missed it).
+ */
+function reciprocalRankFusion(rankings, { k = DEFAULT_RRF_K } = {}) {
+  const fused = new Map();
+
+  rankings.forEach(({ name, weight = 1, results }) => {
+    results.forEach((result, rank) => {
+      if (!fused.has(result.index)) {
+        fused.set(result.index, {
+          index: result.index,
+          chunk: result.chunk,
+          similarity: 0,
+          scores: Object.fromEntries(rankings.map(r => [r.name, null]))
+        });
+      }
+
+      const entry = fused.get(result.index);
+      entry.similarity += weight / (k + rank + 1);
+      entry.scores[name] = {
+        rank: rank + 1,
+        score: result.similarity
+      };
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.similarity - a.similarity);
+}
+
+module.exports = {
+  reciprocalRankFusion
+};
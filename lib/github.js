@@ -0,0 +1,181 @@
+// GitHub repositories as an extra knowledge source
+// Pulls README, description, topics, languages and stars for the repos listed in
+// portfolio.config.json and chunks them next to the matching portfolio project.
+
+const { chunkText } = require('./chunker');
+const { tokenize } = require('./text');
+const { timeoutSignal } = require('./deadline');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Minimum name overlap (Jaccard) for a repo to be linked to a project automatically
+const PROJECT_MATCH_THRESHOLD = 0.5;
+
+async function githubJson(url, token) {
+  const fetch = (await import('node-fetch')).default;
+
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'PortfolioChatbot',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    // Timeout so a slow API can't stall the warm-up (FETCH_TIMEOUT_MS)
+    signal: timeoutSignal()
+  });
+  if (!response.ok) {
+    throw new Error(`GitHub API error ${response.status} for ${url}`);
+  }
+  return response.json();
+}
+
+/**
+ * Plain text from README markdown: drops code blocks, images, HTML and link syntax
+ */
+function markdownToText(markdown) {
+  return String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~|]+/g, ' ')
+    .replace(/\n{2,}/g, '. ')
+    .replace(/\s+/g, ' ')
+    .replace(/(\.\s*){2,}/g, '. ')
+    .trim();
+}
+
+/**
+ * Fetch metadata, languages and README for one "owner/name" repo
+ */
+async function fetchRepo(apiUrl, { repo, project }, token) {
+  const base = `${apiUrl.replace(/\/$/, '')}/repos/${repo}`;
+  const [meta, languages, readme] = await Promise.all([
+    githubJson(base, token),
+    githubJson(`${base}/languages`, token).catch(() => ({})),
+    // Repos without a README are still worth indexing
+    githubJson(`${base}/readme`, token).catch(() => null)
+  ]);
+
+  const readmeText = readme?.content
+    ? Buffer.from(readme.content, readme.encoding || 'base64').toString('utf8')
+    : '';
+
+  return {
+    repo,
+    name: meta.name || repo.split('/')[1],
+    url: meta.html_url || `https://github.com/${repo}`,
+    description: meta.description || null,
+    topics: meta.topics || [],
+    languages: Object.keys(languages || {}),
+    stars: meta.stargazers_count || 0,
+    project: project || null,
+    readme: markdownToText(readmeText)
+  };
+}
+
+/**
+ * Fetch every repo of the configured GitHub sources
+ * Results younger than `maxAge` are reused as-is; a repo that fails to refresh
+ * keeps its previous record. Returns { repos, fetchedAt }: fetchedAt only moves when at least
+ * one repo was fetched, so a failed round is retried next time instead of cached as fresh.
+ */
+async function loadGitHubRepos(sources, { previous = null, maxAge = 0, token = process.env.GITHUB_TOKEN } = {}) {
+  if (sources.length === 0) {
+    return { repos: [], fetchedAt: null };
+  }
+  if (previous?.fetchedAt && Date.now() - previous.fetchedAt < maxAge) {
+    return previous;
+  }
+
+  const previousByRepo = new Map((previous?.repos || []).map(record => [record.repo, record]));
+  const repos = [];
+  let fetched = 0;
+
+  for (const source of sources) {
+    const results = await Promise.all(source.repos.map(async entry => {
+      try {
+        const record = await fetchRepo(source.apiUrl, entry, token);
+        fetched++;
+        return record;
+      } catch (error) {
+        console.warn(`⚠️ Could not fetch GitHub repo ${entry.repo}:`, error.message);
+        return previousByRepo.get(entry.repo) || null;
+      }
+    }));
+    repos.push(...results.filter(Boolean));
+  }
+
+  console.log(`🐙 Loaded ${repos.length} GitHub repo(s)`);
+  return { repos, fetchedAt: fetched > 0 ? Date.now() : previous?.fetchedAt || null };
+}
+
+function nameOverlap(a, b) {
+  const termsA = new Set(tokenize(a.replace(/[-_]+/g, ' ')));
+  const termsB = new Set(tokenize(b));
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+  const shared = [...termsA].filter(term => termsB.has(term)).length;
+  return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * Project entity a repo belongs to: the configured `project` id, otherwise the
+ * project whose title best matches the repo name
+ */
+function matchProject(record, projects) {
+  if (record.project) {
+    return projects.find(project => project.id === record.project) || null;
+  }
+
+  let best = null;
+  let bestScore = PROJECT_MATCH_THRESHOLD;
+  projects.forEach(project => {
+    const score = nameOverlap(record.name, project.title || '');
+    if (score >= bestScore) {
+      best = project;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Readable summary of a repo's metadata
+ */
+function repoToText(record) {
+  return [
+    `GitHub repository: ${record.name}.`,
+    record.description ? record.description.replace(/[.!?]?$/, '.') : '',
+    record.topics.length > 0 ? `Topics: ${record.topics.join(', ')}.` : '',
+    record.languages.length > 0 ? `Languages: ${record.languages.join(', ')}.` : '',
+    `Stars: ${record.stars}.`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Chunk repos (metadata + README) under the projects section, linked to the matching project
+ */
+function chunkRepos(repos, projects = [], options = {}) {
+  return repos.flatMap(record => {
+    const project = matchProject(record, projects);
+    const heading = project?.title ? `${project.title} (GitHub)` : `${record.name} (GitHub)`;
+    const text = record.readme ? `${repoToText(record)} ${record.readme}` : repoToText(record);
+
+    // No anchor: the repo URL is the citation link
+    return chunkText('projects', text, { ...options, heading, anchor: null }).map(chunk => ({
+      ...chunk,
+      url: record.url,
+      source: 'github',
+      entity: project ? { type: 'project', id: project.id } : null
+    }));
+  });
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  loadGitHubRepos,
+  chunkRepos,
+  markdownToText
+};
@@ -0,0 +1,114 @@
+// HTML to markdown-ish text for the scraper
+// cheerio's .text() keeps script/style contents and icon ligatures, runs adjacent elements
+// together and leaves long whitespace runs. This keeps headings and list items on their own
+// lines, writes links as [text](url) and drops everything that is not page content.
+
+// Elements whose contents never belong in the text
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'nav', 'button', 'svg', 'iframe', 'canvas', 'select', 'head'
+]);
+
+// Elements that start a new line
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'header', 'hr', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody',
+  'thead', 'tfoot', 'tr', 'ul'
+]);
+
+const HEADING_TAG = /^h([1-6])$/;
+
+// Icon fonts: <i class="fas fa-code">, <span class="material-icons">code</span>, decorative spans
+const ICON_CLASS = /(^|\s)(fa[bslrd]?|fa-[\w-]+|bi|bi-[\w-]+|material-icons[\w-]*|material-symbols[\w-]*|icon|icon-[\w-]+)(\s|$)/;
+
+function isIcon(node) {
+  const attribs = node.attribs || {};
+  if (attribs['aria-hidden'] === 'true') return true;
+  return ['i', 'span'].includes(node.name) && ICON_CLASS.test(attribs.class || '');
+}
+
+function linkUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+  try {
+    return baseUrl ? new URL(href, baseUrl).href : href;
+  } catch (error) {
+    return href;
+  }
+}
+
+/**
+ * Collapse whitespace inside one rendered line and drop the space left before punctuation
+ */
+function cleanLine(line) {
+  return line
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?؟،)\]])/g, '$1')
+    .replace(/([([])\s+/g, '$1')
+    .trim();
+}
+
+function render(node, context) {
+  if (node.type === 'text') return node.data;
+  // Comments, directives and cheerio's script/style node types
+  if (node.type !== 'tag' || DROPPED_TAGS.has(node.name) || isIcon(node)) return '';
+
+  const children = () => (node.children || []).map(child => render(child, context)).join(' ');
+
+  if (node.name === 'br') return '\n';
+
+  const heading = node.name.match(HEADING_TAG);
+  if (heading) {
+    const text = cleanLine(children());
+    return text ? `\n${'#'.repeat(Number(heading[1]))} ${text}\n` : '';
+  }
+
+  if (node.name === 'li') {
+    const text = children().trim();
+    if (!text) return '';
+    const indent = '  '.repeat(Math.max(context.listDepth - 1, 0));
+    return `\n${indent}- ${text}\n`;
+  }
+
+  if (node.name === 'ul' || node.name === 'ol') {
+    context.listDepth += 1;
+    const text = children();
+    context.listDepth -= 1;
+    return `\n${text}\n`;
+  }
+
+  if (node.name === 'a') {
+    const text = cleanLine(children());
+    const url = linkUrl(node.attribs?.href, context.baseUrl);
+    if (!url) return text;
+    if (!text || text === url) return url;
+    return `[${text}](${url})`;
+  }
+
+  return BLOCK_TAGS.has(node.name) ? `\n${children()}\n` : children();
+}
+
+/**
+ * Markdown-ish text of a DOM node, a node list or a cheerio selection
+ * Headings become "## Heading" lines, list items "- item" lines (nested lists indented),
+ * links "[text](absolute url)". Returns '' for an empty selection.
+ */
+function htmlToText(nodes, { baseUrl = null } = {}) {
+  const list = typeof nodes?.toArray === 'function' ? nodes.toArray() : [].concat(nodes || []);
+  const context = { baseUrl, listDepth: 0 };
+
+  return list
+    .map(node => render(node, context))
+    .join('\n')
+    .split('\n')
+    .map(line => {
+      const text = cleanLine(line);
+      // Nested list items keep their indentation
+      const indent = text.startsWith('- ') ? line.match(/^ */)[0] : '';
+      return indent + text;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = {
+  htmlToText
+};
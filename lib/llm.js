@@ -0,0 +1,339 @@
+// Pluggable chat (LLM) providers
+// Every provider exposes { name, model, generate(request), stream(request, onText) }, where a
+// request is { system, messages: [{ role: 'user' | 'assistant', text }], generationConfig, safetySettings, signal }
+// (signal: optional AbortSignal, usually the request deadline). A request's generationConfig is
+// merged over the provider's defaults; safetySettings only apply to Gemini.
+// Both calls resolve to { reply, finishReason } (Gemini finish reason names) and throw with
+// `status` set when the API rejects the request.
+
+const { readEventStream } = require('./sse');
+const { parseRetryAfter, createResilientChatProvider } = require('./resilience');
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const GEMINI_CHAT_MODEL = 'gemini-1.5-flash';
+
+// Models tried in order when the primary one keeps failing (LLM_FALLBACK_MODELS overrides)
+const DEFAULT_FALLBACK_MODELS = {
+  gemini: ['gemini-1.5-flash-8b']
+};
+
+// Gemini harm categories and block thresholds accepted in LLM_SAFETY_SETTINGS
+const SAFETY_CATEGORIES = ['HARASSMENT', 'HATE_SPEECH', 'SEXUALLY_EXPLICIT', 'DANGEROUS_CONTENT'];
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE', 'OFF'];
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const OPENAI_CHAT_MODEL = 'gpt-4o-mini';
+
+// OpenAI finish reasons in Gemini's vocabulary, so handlers only deal with one set
+const OPENAI_FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY'
+};
+
+async function postJson(url, headers, body, signal) {
+  const fetch = (await import('node-fetch')).default;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`LLM API error: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    error.body = await response.text();
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Chat history from the widget ({ role, parts: [{ text }] }, Gemini style) as provider messages
+ */
+function historyToMessages(history) {
+  return (Array.isArray(history) ? history : []).map(entry => ({
+    role: entry.role === 'user' ? 'user' : 'assistant',
+    text: entry.parts?.[0]?.text || entry.text || ''
+  }));
+}
+
+/**
+ * Generation settings from LLM_TEMPERATURE, LLM_TOP_P and LLM_MAX_OUTPUT_TOKENS (Gemini field names)
+ * Unset ones are left to the API's defaults; invalid numbers throw.
+ */
+function generationConfigFromEnv(env = process.env) {
+  const settings = [
+    ['temperature', env.LLM_TEMPERATURE, parseFloat],
+    ['topP', env.LLM_TOP_P, parseFloat],
+    ['maxOutputTokens', env.LLM_MAX_OUTPUT_TOKENS, value => parseInt(value, 10)]
+  ];
+
+  return Object.fromEntries(settings
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value, parse]) => {
+      const number = parse(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Invalid ${key} "${value}"`);
+      }
+      return [key, number];
+    }));
+}
+
+/**
+ * Gemini safety settings from LLM_SAFETY_SETTINGS: one threshold for every category
+ * ("BLOCK_ONLY_HIGH") or category=threshold pairs ("HARASSMENT=BLOCK_NONE,DANGEROUS_CONTENT=BLOCK_ONLY_HIGH")
+ * Returns null when unset, so the API's defaults apply.
+ */
+function safetySettingsFromEnv(env = process.env) {
+  const value = (env.LLM_SAFETY_SETTINGS || '').trim();
+  if (!value) return null;
+
+  const pairs = value.includes('=')
+    ? value.split(',').map(pair => pair.split('=').map(part => part.trim().toUpperCase()))
+    : SAFETY_CATEGORIES.map(category => [category, value.toUpperCase()]);
+
+  return pairs.map(([category, threshold]) => {
+    const name = category.replace(/^HARM_CATEGORY_/, '');
+    if (!SAFETY_CATEGORIES.includes(name)) {
+      throw new Error(`Unknown safety category "${category}" (expected ${SAFETY_CATEGORIES.join(', ')})`);
+    }
+    if (!SAFETY_THRESHOLDS.includes(threshold)) {
+      throw new Error(`Unknown safety threshold "${threshold}" (expected ${SAFETY_THRESHOLDS.join(', ')})`);
+    }
+    return { category: `HARM_CATEGORY_${name}`, threshold };
+  });
+}
+
+/**
+ * Gemini generateContent / streamGenerateContent
+ */
+function createGeminiChatProvider({
+  apiKey,
+  model = GEMINI_CHAT_MODEL,
+  baseUrl = GEMINI_API_URL,
+  generationConfig: defaultGenerationConfig = {},
+  safetySettings: defaultSafetySettings = null
+} = {}) {
+  if (!apiKey) {
+    throw new Error('Gemini chat provider requires an API key (GEMINI_API_KEY)');
+  }
+
+  const toPayload = ({ system, messages, generationConfig, safetySettings = defaultSafetySettings }) => {
+    const config = { ...defaultGenerationConfig, ...generationConfig };
+    return {
+      ...(system ? { systemInstruction: { role: 'system', parts: [{ text: system }] } } : {}),
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.text }]
+      })),
+      ...(Object.keys(config).length > 0 ? { generationConfig: config } : {}),
+      ...(safetySettings ? { safetySettings } : {})
+    };
+  };
+
+  const candidateText = data => (data?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+
+  const request = (method, { signal, ...chatRequest }) => postJson(
+    `${baseUrl}/models/${model}:${method}`,
+    { 'X-goog-api-key': apiKey },
+    toPayload(chatRequest),
+    signal
+  );
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(chatRequest) {
+      const response = await request('generateContent', chatRequest);
+      const data = await response.json();
+      return {
+        reply: candidateText(data).trim(),
+        finishReason: data?.candidates?.[0]?.finishReason || data?.promptFeedback?.blockReason || null
+      };
+    },
+
+    async stream(chatRequest, onText) {
+      const response = await request('streamGenerateContent?alt=sse', chatRequest);
+      let reply = '';
+      let finishReason = null;
+
+      for await (const { data } of readEventStream(response.body)) {
+        const parsed = JSON.parse(data);
+        const delta = candidateText(parsed);
+        finishReason = parsed?.candidates?.[0]?.finishReason || parsed?.promptFeedback?.blockReason || finishReason;
+        if (delta) {
+          reply += delta;
+          onText(delta);
+        }
+      }
+
+      return { reply: reply.trim(), finishReason };
+    }
+  };
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint: OpenAI, or a local Ollama / llama.cpp server
+ * (e.g. baseUrl http://localhost:11434/v1). Local servers usually need no API key.
+ */
+function createOpenAIChatProvider({
+  apiKey,
+  model = OPENAI_CHAT_MODEL,
+  baseUrl = OPENAI_API_URL,
+  generationConfig: defaultGenerationConfig = {}
+} = {}) {
+  if (!apiKey && baseUrl === OPENAI_API_URL) {
+    throw new Error('OpenAI chat provider requires an API key (OPENAI_API_KEY)');
+  }
+
+  const toPayload = ({ system, messages, generationConfig }, stream) => {
+    const config = { ...defaultGenerationConfig, ...generationConfig };
+    return {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({ role: message.role, content: message.text }))
+      ],
+      ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+      ...(config.topP !== undefined ? { top_p: config.topP } : {}),
+      ...(config.maxOutputTokens !== undefined ? { max_tokens: config.maxOutputTokens } : {}),
+      stream
+    };
+  };
+
+  const request = (chatRequest, stream) => postJson(
+    `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+    apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    toPayload(chatRequest, stream),
+    chatRequest.signal
+  );
+
+  const finishReasonOf = choice => (choice?.finish_reason ? OPENAI_FINISH_REASONS[choice.finish_reason] || choice.finish_reason.toUpperCase() : null);
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(chatRequest) {
+      const data = await (await request(chatRequest, false)).json();
+      const choice = data?.choices?.[0];
+      return {
+        reply: (choice?.message?.content || '').trim(),
+        finishReason: finishReasonOf(choice)
+      };
+    },
+
+    async stream(chatRequest, onText) {
+      const response = await request(chatRequest, true);
+      let reply = '';
+      let finishReason = null;
+
+      for await (const { data } of readEventStream(response.body)) {
+        if (data === '[DONE]') break;
+        const choice = JSON.parse(data)?.choices?.[0];
+        const delta = choice?.delta?.content || '';
+        finishReason = finishReasonOf(choice) || finishReason;
+        if (delta) {
+          reply += delta;
+          onText(delta);
+        }
+      }
+
+      return { reply: reply.trim(), finishReason };
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider for tests and local runs without network access
+ * Replies with the last user message and cites [1] when the request carries numbered context.
+ * Query rewrites return the latest message unchanged and history summaries the new turns, so
+ * retrieval and memory behave as they would without an LLM.
+ */
+function createMockChatProvider({ model = 'mock' } = {}) {
+  const respond = ({ messages }) => {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser?.text || '';
+
+    const rewrite = text.match(/\nLatest message: ([\s\S]*)$/);
+    if (rewrite) return rewrite[1].trim();
+    const summary = text.match(/\nNew turns:\n([\s\S]*)$/);
+    if (summary) return summary[1].trim();
+
+    const cited = messages.some(message => /\[1\]/.test(message.text));
+    const question = text.replace(/^User question:\s*/, '');
+    return `Mock reply to: ${question}${cited ? ' [1]' : ''}`;
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    async generate(chatRequest) {
+      return { reply: respond(chatRequest), finishReason: 'STOP' };
+    },
+
+    async stream(chatRequest, onText) {
+      const reply = respond(chatRequest);
+      reply.split(/(?<= )/).forEach(word => onText(word));
+      return { reply, finishReason: 'STOP' };
+    }
+  };
+}
+
+/**
+ * Create a chat provider by name ('gemini', 'openai' or 'mock')
+ */
+function createChatProvider(name, options = {}) {
+  switch (name) {
+    case 'gemini':
+      return createGeminiChatProvider(options);
+    case 'openai':
+      return createOpenAIChatProvider(options);
+    case 'mock':
+      return createMockChatProvider(options);
+    default:
+      throw new Error(`Unknown chat provider: ${name}`);
+  }
+}
+
+/**
+ * Chat provider selected by LLM_PROVIDER, with LLM_MODEL / LLM_BASE_URL / LLM_API_KEY overrides
+ * The API key defaults to GEMINI_API_KEY or OPENAI_API_KEY for the matching provider.
+ * Generation and safety settings come from generationConfigFromEnv() and safetySettingsFromEnv().
+ * Calls are retried and fall back through LLM_FALLBACK_MODELS (comma separated, empty to disable);
+ * pass a long-lived circuit `breaker` so failures are counted across requests.
+ */
+function createChatProviderFromEnv(env = process.env, { breaker = null } = {}) {
+  const name = env.LLM_PROVIDER || 'gemini';
+  const providerKey = { gemini: env.GEMINI_API_KEY, openai: env.OPENAI_API_KEY }[name];
+  const options = {
+    apiKey: env.LLM_API_KEY || providerKey,
+    baseUrl: env.LLM_BASE_URL || undefined,
+    generationConfig: generationConfigFromEnv(env),
+    safetySettings: safetySettingsFromEnv(env)
+  };
+
+  const primary = createChatProvider(name, { ...options, model: env.LLM_MODEL || undefined });
+  const fallbackModels = env.LLM_FALLBACK_MODELS !== undefined
+    ? env.LLM_FALLBACK_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+    : DEFAULT_FALLBACK_MODELS[name] || [];
+  const fallbacks = fallbackModels
+    .filter(model => model !== primary.model)
+    .map(model => createChatProvider(name, { ...options, model }));
+
+  return createResilientChatProvider([primary, ...fallbacks], { breaker });
+}
+
+module.exports = {
+  historyToMessages,
+  generationConfigFromEnv,
+  safetySettingsFromEnv,
+  createChatProvider,
+  createChatProviderFromEnv
+};
@@ -0,0 +1,106 @@
+// Maximal marginal relevance (MMR) re-ranking under a context token budget
+// Picks chunks that are relevant to the query but not redundant with what is already selected.
+
+const { tokenize } = require('./text');
+const { estimateTokens } = require('./chunker');
+
+// Default trade-off between relevance (1) and diversity (0)
+const DEFAULT_LAMBDA = parseFloat(process.env.MMR_LAMBDA || '0.7');
+
+// Default token budget for the assembled context
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET || '1200', 10);
+
+// Candidates at least this similar to a selected chunk are treated as duplicates
+const DUPLICATE_THRESHOLD = 0.9;
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? null : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function termVector(text) {
+  const counts = new Map();
+  tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+function termCosine(a, b) {
+  let dot = 0;
+  a.forEach((count, term) => {
+    dot += count * (b.get(term) || 0);
+  });
+  const norm = m => Math.sqrt([...m.values()].reduce((sum, count) => sum + count * count, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Select candidates with MMR until the token budget is spent
+ * Candidates are { index, similarity, chunk } sorted best first. When `vectors`
+ * (chunk index -> embedding) is given, redundancy is measured with embeddings,
+ * otherwise with term-frequency cosine over the chunk text.
+ * Returns { selected, tokensUsed }.
+ */
+function selectWithMMR(candidates, { lambda = DEFAULT_LAMBDA, tokenBudget = DEFAULT_TOKEN_BUDGET, vectors = null } = {}) {
+  // NaN or infinite scores (e.g. from zero vectors) would never win a comparison
+  const scored = candidates.filter(candidate => Number.isFinite(candidate.similarity));
+  if (scored.length === 0) {
+    return { selected: [], tokensUsed: 0 };
+  }
+
+  const maxRelevance = Math.max(...scored.map(c => c.similarity)) || 1;
+  const termVectors = new Map();
+  const getTerms = candidate => {
+    if (!termVectors.has(candidate.index)) {
+      termVectors.set(candidate.index, termVector(candidate.chunk.content));
+    }
+    return termVectors.get(candidate.index);
+  };
+
+  const similarity = (a, b) => {
+    const vectorSimilarity = vectors ? cosine(vectors[a.index] || [], vectors[b.index] || []) : null;
+    return vectorSimilarity !== null ? vectorSimilarity : termCosine(getTerms(a), getTerms(b));
+  };
+
+  const remaining = [...scored];
+  const selected = [];
+  let tokensUsed = 0;
+
+  while (remaining.length > 0) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    remaining.forEach(candidate => {
+      const redundancy = selected.length > 0 ? Math.max(...selected.map(s => similarity(candidate, s))) : 0;
+      const score = lambda * (candidate.similarity / maxRelevance) - (1 - lambda) * redundancy;
+      if (redundancy < DUPLICATE_THRESHOLD && score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    if (!best) break;
+    remaining.splice(remaining.indexOf(best), 1);
+
+    // Skip chunks that would overflow the budget and keep looking for smaller ones,
+    // except the top pick, which is always kept so the model gets some context
+    const tokens = estimateTokens(best.chunk.content);
+    if (selected.length > 0 && tokensUsed + tokens > tokenBudget) continue;
+
+    selected.push(best);
+    tokensUsed += tokens;
+  }
+
+  return { selected, tokensUsed };
+}
+
+module.exports = {
+  selectWithMMR
+};
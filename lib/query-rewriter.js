@@ -0,0 +1,135 @@
+// Follow-up question rewriting ("query condensation")
+// Turns "what tools did he use there?" into a standalone question before retrieval,
+// using the configured chat provider when available and a heuristic over the chat history otherwise.
+
+const { normalizeText } = require('./text');
+
+// Rewrite strategy: 'llm' (chat provider, heuristic fallback), 'heuristic' or 'off'
+const QUERY_REWRITE = process.env.QUERY_REWRITE || 'llm';
+
+// Number of history entries (user + model turns) given to the rewriter
+const HISTORY_WINDOW = 6;
+
+const REWRITE_PROMPT = `Rewrite the user's latest message as a single standalone question about Ahmed's portfolio.
+Resolve pronouns and references ("there", "it", "the second one") using the conversation.
+If the message is already standalone, return it unchanged. Keep the user's language.
+Return only the question, with no explanation.`;
+
+const FOLLOW_UP_WORDS = new Set([
+  'it', 'its', 'that', 'this', 'those', 'these', 'there', 'they', 'them', 'one', 'ones',
+  'more', 'else', 'also', 'same', 'former', 'latter',
+  'هذا', 'هذه', 'ذلك', 'تلك', 'هناك', 'فيه', 'فيها', 'منه', 'منها', 'عنه', 'عنها', 'ايضا', 'كمان'
+].map(normalizeText));
+
+const ORDINALS = [
+  ['first', '1st', 'الاول', 'الاولي'],
+  ['second', '2nd', 'الثاني', 'الثانيه'],
+  ['third', '3rd', 'الثالث', 'الثالثه'],
+  ['fourth', '4th', 'الرابع', 'الرابعه'],
+  ['fifth', '5th', 'الخامس', 'الخامسه']
+].map(words => words.map(normalizeText));
+
+// Messages longer than this (in words) are treated as standalone
+const MAX_FOLLOW_UP_WORDS = 10;
+
+function entryText(entry) {
+  return entry?.parts?.map(part => part.text || '').join(' ').trim() || '';
+}
+
+function lastTurn(history, role) {
+  const entry = [...history].reverse().find(item => (item.role === 'user') === (role === 'user'));
+  return entryText(entry);
+}
+
+/**
+ * Decide whether a message leans on earlier turns
+ */
+function isFollowUp(message) {
+  const words = normalizeText(message).match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0 || words.length > MAX_FOLLOW_UP_WORDS) return false;
+  return words.some(word => FOLLOW_UP_WORDS.has(word) || ORDINALS.some(forms => forms.includes(word)) || word === 'last');
+}
+
+/**
+ * Items of the last numbered or bulleted list in a reply
+ */
+function extractListItems(text) {
+  return text
+    .split('\n')
+    .map(line => line.match(/^\s*(?:\d+[.)]|[-*•])\s+(.+)/))
+    .filter(Boolean)
+    .map(match => match[1].replace(/\*\*/g, '').trim());
+}
+
+/**
+ * Heuristic rewrite: resolve ordinals against the last reply's list, otherwise
+ * carry the previous user question along as retrieval context
+ */
+function rewriteHeuristically(message, history) {
+  const words = normalizeText(message).match(/[\p{L}\p{N}]+/gu) || [];
+  const items = extractListItems(lastTurn(history, 'model'));
+
+  if (items.length > 0) {
+    const ordinal = ORDINALS.findIndex(forms => forms.some(form => words.includes(form)));
+    const position = words.includes('last') ? items.length - 1 : ordinal;
+    if (position >= 0 && position < items.length) {
+      return `${message} ${items[position]}`;
+    }
+  }
+
+  const previousQuestion = lastTurn(history, 'user');
+  return previousQuestion ? `${message} ${previousQuestion}` : message;
+}
+
+/**
+ * Ask the chat provider to condense the conversation into a standalone question
+ */
+async function rewriteWithLLM(message, history, llm, signal) {
+  const transcript = history
+    .slice(-HISTORY_WINDOW)
+    .map(entry => `${entry.role === 'user' ? 'User' : 'Assistant'}: ${entryText(entry)}`)
+    .join('\n');
+
+  const { reply: rewritten } = await llm.generate({
+    system: REWRITE_PROMPT,
+    messages: [
+      { role: 'user', text: `Conversation:\n${transcript}\n\nLatest message: ${message}` }
+    ],
+    generationConfig: { temperature: 0, maxOutputTokens: 100 },
+    signal
+  });
+
+  if (!rewritten) {
+    throw new Error('Empty rewrite');
+  }
+  return rewritten;
+}
+
+/**
+ * Rewrite the latest message into a standalone retrieval query
+ * Returns { query, method } where method is 'llm', 'heuristic' or 'none'.
+ * An aborted `signal` (rewrite timeout) falls back to the heuristic like any LLM failure.
+ */
+async function rewriteQuery(message, history, { llm = null, signal = null, mode = QUERY_REWRITE } = {}) {
+  const turns = Array.isArray(history) ? history : [];
+  if (mode === 'off' || turns.length === 0) {
+    return { query: message, method: 'none' };
+  }
+
+  if (mode === 'llm' && llm) {
+    try {
+      return { query: await rewriteWithLLM(message, turns, llm, signal), method: 'llm' };
+    } catch (error) {
+      console.warn(`⚠️ Query rewrite with ${llm.name} failed, using heuristic:`, error.message);
+    }
+  }
+
+  if (!isFollowUp(message)) {
+    return { query: message, method: 'none' };
+  }
+  return { query: rewriteHeuristically(message, turns), method: 'heuristic' };
+}
+
+module.exports = {
+  rewriteQuery
+};
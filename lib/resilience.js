@@ -0,0 +1,292 @@
+// Resilience for upstream LLM calls
+// Rate limits (429) and overloads (503) are retried with bounded exponential backoff that honors
+// Retry-After, then the next model in the fallback chain is tried. A circuit breaker counts failed
+// requests and, once open, skips the LLM so handlers serve a degraded answer from the retrieved context.
+// A call cancelled through its request's signal (deadline) is never retried and never counted.
+
+const { isDeadlineError } = require('./deadline');
+
+// Retries per model after the first attempt
+const DEFAULT_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+
+// Backoff: base * 2^attempt with full jitter, never longer than the cap (Retry-After included)
+const DEFAULT_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS || '500', 10);
+const DEFAULT_RETRY_MAX_MS = parseInt(process.env.LLM_RETRY_MAX_MS || '8000', 10);
+
+// Failed requests in a row that open the circuit, and how long it stays open
+const DEFAULT_BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD || '3', 10);
+const DEFAULT_BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '60000', 10);
+
+// Characters of each context entry quoted in a degraded answer
+const DEGRADED_EXCERPT_LENGTH = 300;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Retry-After header value (seconds or HTTP date) in milliseconds, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Rate limits, overloads and network errors (no HTTP status) are worth retrying; 4xx are not
+ */
+function isRetryable(error) {
+  return !error.status || RETRYABLE_STATUSES.has(error.status);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ */
+function retryDelay(error, attempt, { baseDelayMs = DEFAULT_RETRY_BASE_MS, maxDelayMs = DEFAULT_RETRY_MAX_MS } = {}) {
+  if (error.retryAfter != null) {
+    return Math.min(error.retryAfter, maxDelayMs);
+  }
+  return Math.round(Math.random() * Math.min(baseDelayMs * 2 ** attempt, maxDelayMs));
+}
+
+/**
+ * Run fn, retrying retryable errors with backoff until `signal` aborts
+ * `canRetry(error)` can veto a retry, e.g. once a stream has started sending tokens.
+ */
+async function withRetry(fn, {
+  retries = DEFAULT_MAX_RETRIES,
+  baseDelayMs,
+  maxDelayMs,
+  signal = null,
+  canRetry = () => true,
+  label = 'request'
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !isRetryable(error) || !canRetry(error)) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, { baseDelayMs, maxDelayMs });
+      console.warn(`🔁 ${label} failed (${error.status || error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Circuit breaker over whole requests (all retries and fallback models)
+ * closed: calls go through; open: calls are skipped until the cooldown ends;
+ * half-open: one trial call decides whether to close again or re-open.
+ */
+function createCircuitBreaker({
+  failureThreshold = DEFAULT_BREAKER_THRESHOLD,
+  cooldownMs = DEFAULT_BREAKER_COOLDOWN_MS
+} = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  return {
+    /**
+     * Whether a call may go upstream now (claims the trial call when half-open)
+     */
+    allowRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log('✅ LLM circuit closed');
+      }
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * A cancelled call: neither success nor failure, but frees the half-open trial
+     */
+    release() {
+      trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      consecutiveFailures++;
+      lastError = error.message;
+      trialInFlight = false;
+
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        if (state !== 'open') {
+          console.warn(`🚧 LLM circuit open after ${consecutiveFailures} failed request(s), retrying in ${cooldownMs / 1000}s`);
+        }
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+
+    summary() {
+      return {
+        state,
+        consecutiveFailures,
+        lastError,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+}
+
+/**
+ * Chat provider over an ordered list of providers (usually one per model)
+ * Each provider is retried with backoff before moving on to the next; the breaker sees one
+ * success or failure per call. Results carry the `model` that answered.
+ * Throws an error with code 'CIRCUIT_OPEN' when the breaker skips the call.
+ */
+function createResilientChatProvider(providers, { breaker = null, retries, baseDelayMs, maxDelayMs } = {}) {
+  const [primary] = providers;
+
+  async function call(method, chatRequest, onText) {
+    if (breaker && !breaker.allowRequest()) {
+      const error = new Error('LLM circuit is open');
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    let lastError;
+    for (const provider of providers) {
+      // Tokens already sent to the client cannot be taken back, so a started stream is never retried
+      let streamed = false;
+      const forward = text => {
+        streamed = true;
+        onText(text);
+      };
+
+      try {
+        const result = await withRetry(() => provider[method](chatRequest, forward), {
+          retries,
+          baseDelayMs,
+          maxDelayMs,
+          signal: chatRequest.signal,
+          canRetry: () => !streamed,
+          label: `${provider.name}:${provider.model}`
+        });
+        breaker?.recordSuccess();
+        return { ...result, model: provider.model };
+      } catch (error) {
+        lastError = error;
+        if (streamed || chatRequest.signal?.aborted) break;
+        console.warn(`⚠️ ${provider.name}:${provider.model} failed (${error.status || error.message})`);
+      }
+    }
+
+    // Running out of request time says nothing about the upstream's health
+    if (chatRequest.signal?.aborted) {
+      breaker?.release();
+      throw chatRequest.signal.reason || lastError;
+    }
+    breaker?.recordFailure(lastError);
+    throw lastError;
+  }
+
+  return {
+    name: primary.name,
+    model: primary.model,
+    models: providers.map(provider => provider.model),
+
+    generate(chatRequest) {
+      return call('generate', chatRequest);
+    },
+
+    stream(chatRequest, onText) {
+      return call('stream', chatRequest, onText);
+    }
+  };
+}
+
+const DEGRADED_NOTICES = {
+  'circuit-open': "I can't reach the AI model right now",
+  'upstream-error': "I can't reach the AI model right now",
+  deadline: 'I ran out of time preparing a full answer'
+};
+
+/**
+ * Answer served without the LLM: a short notice followed by excerpts of the retrieved context
+ * The context keeps its source labels (and [n] citation markers where the handler numbers them).
+ */
+function degradedReply(context, reason = 'upstream-error') {
+  const excerpts = context
+    .split('\n\n')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => (entry.length > DEGRADED_EXCERPT_LENGTH ? `${entry.slice(0, DEGRADED_EXCERPT_LENGTH).trim()}…` : entry));
+
+  if (excerpts.length === 0) {
+    return reason === 'deadline'
+      ? 'The portfolio is still loading. Please try again in a few seconds.'
+      : `${DEGRADED_NOTICES[reason]}. Please try again in a minute.`;
+  }
+
+  return [
+    `${DEGRADED_NOTICES[reason]}, so here is the most relevant information from the portfolio:`,
+    ...excerpts.map(excerpt => `- ${excerpt}`),
+    'Please try again in a minute for a full answer.'
+  ].join('\n\n');
+}
+
+/**
+ * Degraded answer for a failed LLM call (or a cache that missed the deadline):
+ * { reply, degraded: { reason, status, stage } } with reason "circuit-open" when the breaker
+ * skipped the call, "deadline" when the request ran out of time, otherwise "upstream-error".
+ */
+function degradedAnswer(error, context) {
+  let reason = 'upstream-error';
+  if (error.code === 'CIRCUIT_OPEN') reason = 'circuit-open';
+  else if (isDeadlineError(error)) reason = 'deadline';
+
+  return {
+    reply: degradedReply(context, reason),
+    degraded: {
+      reason,
+      status: error.status || null,
+      stage: error.stage || null
+    }
+  };
+}
+
+module.exports = {
+  parseRetryAfter,
+  isRetryable,
+  withRetry,
+  createCircuitBreaker,
+  createResilientChatProvider,
+  degradedReply,
+  degradedAnswer
+};
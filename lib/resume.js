@@ -0,0 +1,203 @@
+// Resume import: a local PDF (text extraction) or a JSON Resume (https://jsonresume.org) file
+// Both are normalized into the portfolio's section/entity model and tagged with
+// source "resume" so citations can say where a detail came from.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { chunkText } = require('./chunker');
+const { chunkEntities, slugify } = require('./extractor');
+const { normalizeText } = require('./text');
+
+// Resume headings (English/Arabic) and the portfolio section they belong to
+const RESUME_HEADINGS = {
+  about: ['summary', 'professional summary', 'profile', 'about', 'about me', 'objective', 'نبذة', 'الملخص', 'نبذة عني'],
+  skills: ['skills', 'technical skills', 'core skills', 'tools', 'technologies', 'languages', 'المهارات', 'اللغات'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'internships', 'الخبرات', 'الخبرة', 'الخبرة العملية'],
+  education: ['education', 'academic background', 'coursework', 'relevant coursework', 'courses', 'التعليم', 'المؤهلات'],
+  projects: ['projects', 'personal projects', 'selected projects', 'المشاريع', 'المشروعات'],
+  certificates: ['certificates', 'certifications', 'licenses & certifications', 'awards', 'honors & awards', 'الشهادات'],
+  contact: ['contact', 'contact information', 'التواصل', 'معلومات التواصل']
+};
+
+const HEADING_TO_SECTION = new Map(
+  Object.entries(RESUME_HEADINGS).flatMap(([section, headings]) => headings.map(heading => [normalizeText(heading), section]))
+);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "2024-07-01" / "2024-07" / "2024" -> "Jul 2024" / "2024"
+ */
+function formatDate(value) {
+  const match = String(value || '').match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return clean(value) || null;
+  return match[2] ? `${MONTHS[parseInt(match[2], 10) - 1]} ${match[1]}` : match[1];
+}
+
+function dateRange(start, end) {
+  const from = formatDate(start);
+  if (!from) return null;
+  return `${from} - ${formatDate(end) || 'Present'}`;
+}
+
+/**
+ * Normalize a JSON Resume document into sections and typed entity records
+ */
+function parseJsonResume(resume) {
+  const basics = resume.basics || {};
+  const location = [basics.location?.city, basics.location?.countryCode || basics.location?.region].filter(Boolean).join(', ');
+
+  const sections = {
+    about: [basics.name, basics.label, location, basics.summary].filter(Boolean).join('. '),
+    skills: [
+      ...(resume.skills || []).map(skill => `${skill.name}${skill.keywords?.length ? `: ${skill.keywords.join(', ')}` : ''}`),
+      ...(resume.languages || []).map(language => `${language.language}${language.fluency ? ` (${language.fluency})` : ''}`)
+    ].join('. '),
+    contact: [
+      basics.email,
+      basics.phone,
+      basics.url,
+      ...(basics.profiles || []).map(profile => `${profile.network}: ${profile.url || profile.username}`)
+    ].filter(Boolean).join(', ')
+  };
+
+  const entities = {
+    experience: [...(resume.work || []), ...(resume.volunteer || [])].map(job => ({
+      type: 'experience',
+      id: slugify(`${job.position || ''} ${job.name || job.organization || ''}`),
+      anchor: null,
+      org: job.name || job.organization || null,
+      role: job.position || null,
+      dates: dateRange(job.startDate, job.endDate),
+      summary: job.summary || null,
+      bullets: job.highlights || []
+    })),
+    education: (resume.education || []).map(school => ({
+      type: 'education',
+      id: slugify(`${school.studyType || ''} ${school.area || ''} ${school.institution || ''}`),
+      anchor: null,
+      institution: school.institution || null,
+      degree: [school.studyType, school.area].filter(Boolean).join(' in ') || null,
+      dates: dateRange(school.startDate, school.endDate),
+      summary: school.score ? `GPA: ${school.score}` : null,
+      details: school.courses?.length ? [`Coursework: ${school.courses.join(', ')}`] : []
+    })),
+    projects: (resume.projects || []).map(project => ({
+      type: 'project',
+      id: slugify(project.name || ''),
+      anchor: null,
+      title: project.name || null,
+      summary: [project.description, ...(project.highlights || [])].filter(Boolean).join('. ') || null,
+      technologies: project.keywords || [],
+      links: {
+        repo: /github\.com|gitlab\.com/.test(project.url || '') ? project.url : null,
+        demo: project.url && !/github\.com|gitlab\.com/.test(project.url) ? project.url : null
+      },
+      image: null
+    })),
+    certificates: [
+      ...(resume.certificates || []),
+      ...(resume.awards || []).map(award => ({ name: award.title, issuer: award.awarder, date: award.date, url: null }))
+    ].map(cert => ({
+      type: 'certificate',
+      id: slugify(cert.name || ''),
+      anchor: null,
+      title: cert.name || null,
+      issuer: cert.issuer || null,
+      date: formatDate(cert.date),
+      url: cert.url || null
+    }))
+  };
+
+  return { sections, entities };
+}
+
+/**
+ * Split plain resume text into portfolio sections by its headings
+ * Text before the first recognized heading (name, email, phone) goes to contact.
+ */
+function parseResumeText(text) {
+  const sections = {};
+  let current = 'contact';
+
+  String(text || '').split('\n').forEach(rawLine => {
+    const line = clean(rawLine);
+    if (!line) return;
+
+    const heading = normalizeText(line.replace(/[:：]$/, ''));
+    if (line.length <= 40 && HEADING_TO_SECTION.has(heading)) {
+      current = HEADING_TO_SECTION.get(heading);
+      return;
+    }
+    sections[current] = sections[current] ? `${sections[current]}\n${line}` : line;
+  });
+
+  // Line breaks inside a section usually end a bullet or an entry
+  Object.keys(sections).forEach(section => {
+    sections[section] = sections[section]
+      .split('\n')
+      .map(line => (/[.!?:]$/.test(line) ? line : `${line}.`))
+      .join(' ');
+  });
+
+  return { sections, entities: {} };
+}
+
+async function extractPdfText(buffer) {
+  // The package entry point runs a self-test when required directly; use the library file
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const { text } = await pdfParse(buffer);
+  return text;
+}
+
+/**
+ * Read and normalize a configured resume source
+ * Returns { sections, entities, url } where entity records carry source "resume".
+ */
+async function loadResume(source) {
+  const format = source.format || (path.extname(source.path).toLowerCase() === '.pdf' ? 'pdf' : 'json');
+  const data = await fs.readFile(source.path);
+
+  const parsed = format === 'pdf'
+    ? parseResumeText(await extractPdfText(data))
+    : parseJsonResume(JSON.parse(data.toString('utf8')));
+
+  const entities = Object.fromEntries(Object.entries(parsed.entities).map(([section, records]) => [
+    section,
+    records.map(record => ({ ...record, source: 'resume' }))
+  ]));
+
+  console.log(`📄 Loaded ${format.toUpperCase()} resume from ${source.path}`);
+  return { sections: parsed.sections, entities, url: source.url || null };
+}
+
+/**
+ * Chunk a loaded resume: one group per entity record, sentence-packed text for the other sections
+ */
+function chunkResume(resume, options = {}) {
+  if (!resume) return [];
+
+  const chunks = [
+    ...Object.entries(resume.entities).flatMap(([section, records]) => chunkEntities(section, records, options)),
+    ...Object.entries(resume.sections)
+      .filter(([, text]) => text)
+      .flatMap(([section, text]) => chunkText(section, text, { ...options, heading: 'Resume', anchor: null }))
+  ];
+
+  return chunks.map(chunk => ({
+    ...chunk,
+    url: resume.url,
+    source: 'resume'
+  }));
+}
+
+module.exports = {
+  loadResume,
+  chunkResume,
+  parseJsonResume,
+  parseResumeText
+};
@@ -0,0 +1,163 @@
+// Scrape health validation
+// Catches selector drift (a renamed #projects id, a restructured page) before it reaches the
+// index: every scrape is checked for missing, tiny or drastically shrunk sections, and a failed
+// check keeps the previous good content instead of serving the broken scrape.
+
+// Minimum characters for a required section (matches the chunkers' "meaningful content" cut-off)
+const DEFAULT_MIN_LENGTH = parseInt(process.env.SCRAPE_MIN_SECTION_LENGTH || '50', 10);
+
+// Fail when a section keeps less than this share of its length in the previous good snapshot
+const DEFAULT_MIN_RETAINED = parseFloat(process.env.SCRAPE_MIN_RETAINED || '0.5');
+
+// A shrink seen in this many scrapes in a row, with the same section sizes, is accepted as the new
+// baseline (an intentional cut rather than drift); 0 never accepts it
+const DEFAULT_ACCEPT_AFTER = parseInt(process.env.SCRAPE_ACCEPT_SHRINK_AFTER || '3', 10);
+
+// Section sizes that differ by less than this share count as the same shrunk content
+const CONSISTENT_TOLERANCE = 0.1;
+
+// State file (next to the snapshots) with the shrunk sizes seen so far
+const PENDING_BASELINE_STATE = 'pending-baseline';
+
+/**
+ * Check scraped section texts against the config and the previous good snapshot's sections
+ * Returns { checkedAt, ok, baselineVersion, sections: { name: { length, previousLength, status } }, issues }.
+ */
+function checkScrapeHealth(sections, config, { baseline = null, minRetained = DEFAULT_MIN_RETAINED } = {}) {
+  const report = {
+    checkedAt: new Date().toISOString(),
+    ok: true,
+    baselineVersion: baseline?.version || null,
+    sections: {},
+    issues: []
+  };
+
+  config.sections.forEach(section => {
+    const length = (sections[section.name] || '').length;
+    const previousLength = baseline ? (baseline.sections[section.name] || '').length : null;
+    const minLength = section.minLength ?? DEFAULT_MIN_LENGTH;
+    let status = 'ok';
+    let message = null;
+
+    if (length === 0) {
+      status = 'missing';
+      message = `"${section.selector}" matched no content`;
+    } else if (length < minLength) {
+      status = 'too-small';
+      message = `${length} characters, expected at least ${minLength}`;
+    } else if (previousLength >= minLength && length < previousLength * minRetained) {
+      status = 'shrunk';
+      message = `${length} characters, down from ${previousLength} in snapshot ${baseline.version}`;
+    }
+
+    report.sections[section.name] = { length, previousLength, status };
+    // Optional sections are reported but never fail the scrape
+    if (message && section.required) {
+      report.ok = false;
+      report.issues.push({ section: section.name, problem: status, message });
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Health history for the endpoint and logs: latest report, last healthy scrape, failure streak
+ */
+function createHealthMonitor() {
+  let latest = null;
+  let lastHealthyAt = null;
+  let consecutiveFailures = 0;
+
+  return {
+    record(report) {
+      latest = report;
+      if (report.ok) {
+        lastHealthyAt = report.checkedAt;
+        consecutiveFailures = 0;
+        return;
+      }
+
+      consecutiveFailures++;
+      report.issues.forEach(issue => {
+        console.warn(`🚨 Scrape health: section "${issue.section}" ${issue.problem} (${issue.message})`);
+      });
+    },
+
+    summary() {
+      return {
+        status: latest ? (latest.ok ? 'healthy' : 'degraded') : 'unknown',
+        lastHealthyAt,
+        consecutiveFailures,
+        latest
+      };
+    }
+  };
+}
+
+function sameSizes(lengths, pending) {
+  return Object.entries(lengths).every(([name, length]) => {
+    const previous = pending[name] || 0;
+    return Math.abs(length - previous) <= Math.max(length, previous) * CONSISTENT_TOLERANCE;
+  });
+}
+
+/**
+ * Track scrapes that only failed on shrunk sections, persisted with the snapshots so the streak
+ * survives cold starts. Returns true once the same sizes were seen `acceptAfter` times in a row.
+ */
+async function acceptShrink(report, snapshots, acceptAfter) {
+  const onlyShrunk = !report.ok && report.issues.every(issue => issue.problem === 'shrunk');
+  if (!onlyShrunk || acceptAfter <= 0) {
+    // Anything else breaks the streak
+    await snapshots.saveState(PENDING_BASELINE_STATE, null);
+    return false;
+  }
+
+  const lengths = Object.fromEntries(Object.entries(report.sections).map(([name, { length }]) => [name, length]));
+  const pending = await snapshots.loadState(PENDING_BASELINE_STATE);
+  const seen = pending?.baselineVersion === report.baselineVersion && sameSizes(lengths, pending.lengths)
+    ? pending.seen + 1
+    : 1;
+
+  if (seen >= acceptAfter) {
+    await snapshots.saveState(PENDING_BASELINE_STATE, null);
+    return true;
+  }
+  await snapshots.saveState(PENDING_BASELINE_STATE, {
+    baselineVersion: report.baselineVersion,
+    lengths,
+    seen,
+    firstSeenAt: pending && seen > 1 ? pending.firstSeenAt : report.checkedAt
+  });
+  return false;
+}
+
+/**
+ * Run the health check on a scrape and record it
+ * Throws when a check fails, so the scraper falls back to the previous good snapshot. A shrink
+ * that stays the same for SCRAPE_ACCEPT_SHRINK_AFTER scrapes passes, and its snapshot becomes the
+ * new baseline.
+ */
+async function assertScrapeHealthy(sections, config, { snapshots, monitor, acceptAfter = DEFAULT_ACCEPT_AFTER }) {
+  const report = checkScrapeHealth(sections, config, { baseline: await snapshots.loadLatest() });
+  if (await acceptShrink(report, snapshots, acceptAfter)) {
+    console.log(`📉 Scrape health: accepting shrunk ${report.issues.map(issue => issue.section).join(', ')} as the new baseline after ${acceptAfter} consistent scrapes`);
+    report.ok = true;
+    report.acceptedShrink = report.issues;
+    report.issues = [];
+  }
+  monitor.record(report);
+
+  if (!report.ok) {
+    const sectionNames = report.issues.map(issue => `${issue.section} ${issue.problem}`).join(', ');
+    throw new Error(`Scrape failed health checks: ${sectionNames}`);
+  }
+  return report;
+}
+
+module.exports = {
+  checkScrapeHealth,
+  createHealthMonitor,
+  assertScrapeHealthy
+};
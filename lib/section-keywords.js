@@ -0,0 +1,37 @@
+// Bilingual (English/Arabic) keywords that identify each portfolio section
+// Matched through lib/text so plural, prefixed and diacritized forms still hit
+
+const SECTION_KEYWORDS = {
+  about: [
+    'about', 'who', 'background', 'summary', 'profile', 'bio',
+    'نبذة', 'سيرة', 'خلفية', 'تعريف', 'شخصية'
+  ],
+  skills: [
+    'skills', 'technologies', 'tools', 'programming', 'languages', 'frameworks',
+    'مهارات', 'مهارة', 'تقنيات', 'أدوات', 'برمجة', 'لغات'
+  ],
+  experience: [
+    'experience', 'work', 'job', 'position', 'role', 'career', 'employment',
+    'خبرة', 'خبرات', 'عمل', 'وظيفة', 'تدريب', 'شركة', 'مسيرة'
+  ],
+  education: [
+    'education', 'university', 'degree', 'study', 'academic', 'college',
+    'تعليم', 'دراسة', 'جامعة', 'كلية', 'درجة', 'مؤهل'
+  ],
+  projects: [
+    'projects', 'portfolio', 'work', 'built', 'developed', 'created', 'github',
+    'مشاريع', 'مشروع', 'أعمال', 'تطوير'
+  ],
+  certificates: [
+    'certificates', 'certifications', 'achievements', 'credentials', 'awards',
+    'شهادات', 'شهادة', 'دورات', 'إنجازات', 'جوائز'
+  ],
+  contact: [
+    'contact', 'email', 'phone', 'linkedin', 'reach', 'connect', 'social',
+    'تواصل', 'اتصال', 'بريد', 'إيميل', 'هاتف', 'رقم', 'لينكدإن'
+  ]
+};
+
+module.exports = {
+  SECTION_KEYWORDS
+};
@@ -0,0 +1,290 @@
+// Versioned knowledge snapshots
+// Every successful scrape is written as a schema-checked JSON snapshot. When scraping fails,
+// handlers serve the most recent valid snapshot, or the seed snapshot bundled with the code.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const SNAPSHOT_SCHEMA_VERSION = 1;
+
+// Serverless platforms only allow writes under the temp directory
+const DEFAULT_SNAPSHOT_DIR = path.join(os.tmpdir(), 'portfolio-snapshots');
+
+// Bundled with the functions (see netlify.toml)
+const SEED_SNAPSHOT_PATH = path.join(__dirname, '..', 'knowledge', 'seed-snapshot.json');
+
+// Saved snapshots kept on disk, newest first
+const DEFAULT_KEEP = 5;
+
+const FILE_PATTERN = /^snapshot-(.+)\.json$/;
+
+const ENTITY_TYPES = {
+  projects: 'project',
+  experience: 'experience',
+  education: 'education',
+  certificates: 'certificate'
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Collect every schema problem with a snapshot instead of stopping at the first one
+ */
+function validateSnapshot(snapshot) {
+  const errors = [];
+
+  if (!isPlainObject(snapshot)) {
+    return ['snapshot must be an object'];
+  }
+  if (snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SNAPSHOT_SCHEMA_VERSION}`);
+  }
+  if (typeof snapshot.version !== 'string' || !snapshot.version) {
+    errors.push('version must be a non-empty string');
+  }
+  if (typeof snapshot.contentHash !== 'string' || !snapshot.contentHash) {
+    errors.push('contentHash must be a non-empty string');
+  }
+  if (Number.isNaN(Date.parse(snapshot.createdAt))) {
+    errors.push('createdAt must be an ISO date');
+  }
+  if (snapshot.sourceUrl !== null && typeof snapshot.sourceUrl !== 'string') {
+    errors.push('sourceUrl must be a string or null');
+  }
+  if (typeof snapshot.fullContent !== 'string') {
+    errors.push('fullContent must be a string');
+  }
+
+  if (!isPlainObject(snapshot.sections)) {
+    errors.push('sections must be an object');
+  } else {
+    Object.entries(snapshot.sections).forEach(([name, text]) => {
+      if (typeof text !== 'string') {
+        errors.push(`sections.${name} must be a string`);
+      }
+    });
+    if (!Object.values(snapshot.sections).some(text => typeof text === 'string' && text.trim())) {
+      errors.push('sections must contain at least one non-empty section');
+    }
+  }
+
+  if (!isPlainObject(snapshot.entities)) {
+    errors.push('entities must be an object');
+  } else {
+    Object.entries(snapshot.entities).forEach(([section, records]) => {
+      if (!Array.isArray(records)) {
+        errors.push(`entities.${section} must be an array`);
+        return;
+      }
+      records.forEach((record, i) => {
+        if (!isPlainObject(record) || (ENTITY_TYPES[section] && record.type !== ENTITY_TYPES[section])) {
+          errors.push(`entities.${section}[${i}] must be a ${ENTITY_TYPES[section] || 'record'} object`);
+        }
+      });
+    });
+  }
+
+  if (!Array.isArray(snapshot.chunks)) {
+    errors.push('chunks must be an array');
+  } else {
+    snapshot.chunks.forEach((chunk, i) => {
+      if (typeof chunk?.content !== 'string' || typeof chunk?.section !== 'string') {
+        errors.push(`chunks[${i}] must have string content and section`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Build a snapshot from scraped knowledge
+ * The version is the creation time plus a content hash prefix, so versions sort by age
+ * and identical content is recognizable.
+ */
+function buildSnapshot({ sections, fullContent = '', entities = {}, chunks = [], sourceUrl = null }) {
+  const knowledge = { sections, fullContent, entities, chunks };
+  const contentHash = crypto.createHash('sha256').update(JSON.stringify(knowledge)).digest('hex');
+  const createdAt = new Date().toISOString();
+
+  return {
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    version: `${createdAt.replace(/[-:]|\.\d+/g, '')}-${contentHash.slice(0, 8)}`,
+    createdAt,
+    sourceUrl,
+    contentHash,
+    ...knowledge
+  };
+}
+
+/**
+ * Version info for responses: which snapshot is served and where it came from
+ * `source` is "live" (just scraped), "saved" (an earlier scrape) or "seed" (bundled).
+ */
+function snapshotInfo(snapshot, source) {
+  return {
+    version: snapshot.version,
+    createdAt: snapshot.createdAt,
+    source
+  };
+}
+
+/**
+ * Create a snapshot store backed by a directory of JSON files
+ * Each handler passes its own `namespace` (a subdirectory): handlers chunk and extract differently,
+ * so one handler's snapshot is not a complete knowledge set for another.
+ */
+function createSnapshotStore({
+  namespace = null,
+  dirPath = path.join(process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR, namespace || ''),
+  seedPath = SEED_SNAPSHOT_PATH,
+  keep = DEFAULT_KEEP
+} = {}) {
+  let latest = null;
+
+  async function listFiles() {
+    try {
+      return (await fs.readdir(dirPath)).filter(name => FILE_PATTERN.test(name)).sort().reverse();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not list snapshots in ${dirPath}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  async function readSnapshot(filePath) {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const errors = validateSnapshot(snapshot);
+      if (errors.length > 0) {
+        console.warn(`⚠️ Ignoring invalid snapshot ${filePath}: ${errors.join('; ')}`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable snapshot ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Newest valid saved snapshot, or null
+   */
+  async function loadLatest() {
+    if (latest) return latest;
+
+    for (const name of await listFiles()) {
+      const snapshot = await readSnapshot(path.join(dirPath, name));
+      if (snapshot) {
+        latest = snapshot;
+        return latest;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate and write a snapshot of freshly scraped knowledge
+   * Content identical to the latest snapshot keeps that snapshot (and its version).
+   * Write failures are logged; the snapshot is still returned so it can be served.
+   */
+  async function save(knowledge) {
+    const snapshot = buildSnapshot(knowledge);
+    const errors = validateSnapshot(snapshot);
+    if (errors.length > 0) {
+      throw new Error(`Scraped content does not match the snapshot schema: ${errors.join('; ')}`);
+    }
+
+    const previous = await loadLatest();
+    if (previous?.contentHash === snapshot.contentHash) {
+      return previous;
+    }
+
+    try {
+      // Write then rename so a crash never leaves a half-written snapshot behind
+      const filePath = path.join(dirPath, `snapshot-${snapshot.version}.json`);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(dirPath, { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+      await fs.rename(tmpPath, filePath);
+
+      const stale = (await listFiles()).slice(keep);
+      await Promise.all(stale.map(name => fs.unlink(path.join(dirPath, name)).catch(() => {})));
+      console.log(`💾 Saved knowledge snapshot ${snapshot.version}`);
+    } catch (error) {
+      console.warn('⚠️ Could not save knowledge snapshot:', error.message);
+    }
+
+    latest = snapshot;
+    return snapshot;
+  }
+
+  /**
+   * Snapshot to serve when scraping fails: the newest valid saved one, otherwise the seed
+   * Returns { snapshot, source } with source "saved" or "seed".
+   */
+  async function loadFallback() {
+    const saved = await loadLatest();
+    if (saved) {
+      console.log(`📦 Serving saved knowledge snapshot ${saved.version}`);
+      return { snapshot: saved, source: 'saved' };
+    }
+
+    const seed = await readSnapshot(seedPath);
+    if (!seed) {
+      throw new Error(`Seed snapshot ${seedPath} is missing or invalid`);
+    }
+    console.log(`🌱 Serving seed knowledge snapshot ${seed.version}`);
+    return { snapshot: seed, source: 'seed' };
+  }
+
+  /**
+   * Small JSON state kept next to the snapshots (e.g. scrape health's pending baseline), or null
+   */
+  async function loadState(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dirPath, `state-${name}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read ${name} state:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write (or, with null, remove) a state file; failures are logged like snapshot writes
+   */
+  async function saveState(name, value) {
+    const filePath = path.join(dirPath, `state-${name}.json`);
+    try {
+      if (value === null) {
+        await fs.rm(filePath, { force: true });
+        return;
+      }
+      await fs.mkdir(dirPath, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`⚠️ Could not save ${name} state:`, error.message);
+    }
+  }
+
+  return {
+    save,
+    loadLatest,
+    loadFallback,
+    loadState,
+    saveState
+  };
+}
+
+module.exports = {
+  SNAPSHOT_SCHEMA_VERSION,
+  validateSnapshot,
+  buildSnapshot,
+  snapshotInfo,
+  createSnapshotStore
+};
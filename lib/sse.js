@@ -0,0 +1,89 @@
+// Server-Sent Events for streamed chat replies
+// Opt-in per request with `Accept: text/event-stream` or `?stream=1`; headers are only
+// written on the first event, so errors before that can still be answered with JSON.
+
+/**
+ * Whether the client asked for a streamed reply
+ */
+function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  if (accept.includes('text/event-stream')) return true;
+
+  const stream = new URL(req.url || '/', 'http://localhost').searchParams.get('stream');
+  return stream === '1' || stream === 'true';
+}
+
+/**
+ * Wrap a response in an event stream: send(event, data) writes `event:` / `data:` frames
+ */
+function createEventStream(res) {
+  let opened = false;
+
+  function open() {
+    if (opened) return;
+    opened = true;
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop proxies (nginx) from buffering the whole stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+  }
+
+  return {
+    get opened() {
+      return opened;
+    },
+
+    send(event, data) {
+      open();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      res.flush?.();
+    },
+
+    close() {
+      open();
+      res.end();
+    }
+  };
+}
+
+/**
+ * Parse an SSE byte stream into { event, data } messages (data lines joined with newlines)
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = block => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const message = parse(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      if (message) yield message;
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  const last = parse(buffer + decoder.decode());
+  if (last) yield last;
+}
+
+module.exports = {
+  wantsEventStream,
+  createEventStream,
+  readEventStream
+};
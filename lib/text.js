@@ -0,0 +1,91 @@
+// Shared text normalization and tokenization for retrieval
+// Used at index time and query time so Arabic and English terms compare equal
+
+const ENGLISH_STOPWORDS = [
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does',
+  'for', 'from', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the',
+  'their', 'them', 'there', 'they', 'this', 'to', 'was', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+];
+
+const ARABIC_STOPWORDS = [
+  'ما', 'ماذا', 'هي', 'هو', 'هم', 'هل', 'من', 'في', 'على', 'إلى', 'عن', 'مع',
+  'كيف', 'متى', 'أين', 'لماذا', 'ذلك', 'هذا', 'هذه', 'التي', 'الذي', 'الذين',
+  'أو', 'ثم', 'كان', 'كانت', 'له', 'لها', 'لديه', 'عند', 'عنده', 'أنا', 'أنت',
+  'أي', 'كل', 'بعض', 'قد', 'لقد', 'يا', 'و', 'ف', 'لا', 'نعم', 'إن', 'أن'
+];
+
+// Longest first so "وال" wins over "و"
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال', 'و'];
+const ARABIC_SUFFIXES = ['هما', 'كما', 'تها', 'ها', 'هم', 'هن', 'كم', 'نا', 'ات', 'ون', 'ين', 'ان', 'يه', 'ه', 'ي'];
+
+// Shortest stem the light stemmer is allowed to leave behind
+const MIN_STEM_LENGTH = 3;
+
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+/**
+ * Normalize case, Arabic diacritics and letter variants
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670]/g, '') // tashkeel
+    .replace(/\u0640/g, '') // tatweel
+    .replace(/[\u0622\u0623\u0625\u0671]/g, 'ا') // alef variants -> ا
+    .replace(/\u0624/g, 'و') // ؤ -> و
+    .replace(/[\u0626\u0649]/g, 'ي') // ئ, ى -> ي
+    .replace(/\u0629/g, 'ه') // ة -> ه
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+}
+
+const STOPWORDS = new Set([...ENGLISH_STOPWORDS, ...ARABIC_STOPWORDS].map(normalizeText));
+
+/**
+ * Light Arabic stemming: strip one prefix, then up to two suffixes
+ */
+function stemArabic(term) {
+  let stem = term;
+
+  const prefix = ARABIC_PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= MIN_STEM_LENGTH);
+  if (prefix) {
+    stem = stem.slice(prefix.length);
+  }
+
+  for (let i = 0; i < 2; i++) {
+    const suffix = ARABIC_SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= MIN_STEM_LENGTH);
+    if (!suffix) break;
+    stem = stem.slice(0, -suffix.length);
+  }
+
+  return stem;
+}
+
+/**
+ * Light English stemming: fold common plurals
+ */
+function stemEnglish(term) {
+  if (term.length <= 3 || /[^a-z]/.test(term)) return term;
+  if (term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Split text into normalized, stemmed search terms
+ * Keeps "c++" and "c#" intact and never builds a RegExp from user input
+ */
+function tokenize(text, { removeStopwords = true } = {}) {
+  const matches = normalizeText(text).match(/[\p{L}\p{N}]+[+#]*/gu) || [];
+
+  return matches
+    .filter(term => !(removeStopwords && STOPWORDS.has(term)))
+    .filter(term => term.length > 1 || /[+#]/.test(term))
+    .map(term => (ARABIC_LETTER.test(term) ? stemArabic(term) : stemEnglish(term)));
+}
+
+module.exports = {
+  normalizeText,
+  tokenize
+};
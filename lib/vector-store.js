@@ -0,0 +1,141 @@
+// File-backed embedding store keyed by chunk content hash
+// Unchanged chunks reuse their stored vectors across cache refreshes and cold starts;
+// only new or edited chunks are sent to the embedding provider.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+// Serverless platforms only allow writes under the temp directory
+const DEFAULT_STORE_PATH = path.join(os.tmpdir(), 'portfolio-vector-store.json');
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function emptyStore(modelKey) {
+  return {
+    version: STORE_VERSION,
+    model: modelKey,
+    dimension: null,
+    vectors: {}
+  };
+}
+
+/**
+ * Store file for one handler: its `name` goes before the extension (portfolio-vector-store-chat-original.json)
+ */
+function storePath(basePath, name) {
+  if (!name) return basePath;
+  const { dir, name: base, ext } = path.parse(basePath);
+  return path.join(dir, `${base}-${name}${ext || '.json'}`);
+}
+
+/**
+ * Create a vector store backed by a JSON file
+ * Each handler passes its own `name`: a store only keeps the vectors of its last chunk set, so
+ * handlers sharing one file would evict each other's vectors on every refresh.
+ */
+function createVectorStore({
+  name = null,
+  filePath = storePath(process.env.VECTOR_STORE_PATH || DEFAULT_STORE_PATH, name)
+} = {}) {
+  let store = null;
+
+  async function load() {
+    if (store) return store;
+
+    try {
+      store = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable vector store at ${filePath}:`, error.message);
+      }
+      store = null;
+    }
+    return store;
+  }
+
+  async function save() {
+    // Write then rename so a crash never leaves a half-written store behind
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(store));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Return one embedding per chunk, embedding only chunks whose content hash is not stored yet
+   * A store written by a different model or with a different dimension is discarded (clean re-index).
+   */
+  async function embedChunks(chunks, provider, { signal } = {}) {
+    const modelKey = `${provider.name}:${provider.model}`;
+    const existing = await load();
+    let reindexed = false;
+
+    if (!existing || existing.version !== STORE_VERSION || existing.model !== modelKey ||
+        (existing.dimension && existing.dimension !== provider.dimension)) {
+      if (existing) {
+        console.log(`🔁 Vector store was built with ${existing.model} (${existing.dimension}d), re-indexing with ${modelKey}`);
+        reindexed = true;
+      }
+      store = emptyStore(modelKey);
+    }
+
+    const hashes = chunks.map(chunk => hashContent(chunk.content));
+    const missing = [...new Set(hashes.filter(hash => !store.vectors[hash]))];
+    const missingSet = new Set(missing);
+    const textByHash = new Map(hashes.map((hash, i) => [hash, chunks[i].content]));
+
+    if (missing.length > 0) {
+      const vectors = await provider.embedDocuments(missing.map(hash => textByHash.get(hash)), { signal });
+
+      vectors.forEach((vector, i) => {
+        if (vector.length !== provider.dimension) {
+          throw new Error(`${modelKey} returned a ${vector.length}-dim vector, expected ${provider.dimension}`);
+        }
+        store.vectors[missing[i]] = vector;
+      });
+    }
+
+    // Drop vectors for chunks that no longer exist
+    const current = new Set(hashes);
+    const removed = Object.keys(store.vectors).filter(hash => !current.has(hash));
+    removed.forEach(hash => delete store.vectors[hash]);
+
+    store.dimension = provider.dimension;
+
+    if (missing.length > 0 || removed.length > 0 || reindexed) {
+      try {
+        await save();
+      } catch (error) {
+        console.warn('⚠️ Could not persist vector store:', error.message);
+      }
+    }
+
+    return {
+      embeddings: hashes.map(hash => store.vectors[hash]),
+      stats: {
+        model: modelKey,
+        dimension: store.dimension,
+        reused: hashes.filter(hash => !missingSet.has(hash)).length,
+        embedded: missing.length,
+        removed: removed.length,
+        reindexed
+      }
+    };
+  }
+
+  return {
+    filePath,
+    embedChunks
+  };
+}
+
+module.exports = {
+  createVectorStore,
+  hashContent
+};
@@ -32,4 +32,4 @@ echo Press Ctrl+C to stop the server
 echo ========================================
 echo.
 
-call npm run test
\ No newline at end of file
+call npm start
\ No newline at end of file
@@ -53,12 +53,47 @@ app.get('/warmup', async (req, res) => {
     }
 });
 
+// Change reports from recent portfolio refreshes
+app.get('/changes', async (req, res) => {
+    try {
+        const mockReq = {
+            method: 'GET',
+            url: '/changes',
+            headers: req.headers
+        };
+        
+        const mockRes = {
+            statusCode: 200,
+            headers: {},
+            setHeader: (key, value) => {
+                mockRes.headers[key] = value;
+            },
+            status: (code) => {
+                mockRes.statusCode = code;
+                return mockRes;
+            },
+            json: (data) => {
+                res.status(mockRes.statusCode).set(mockRes.headers).json(data);
+            },
+            end: () => {
+                res.status(mockRes.statusCode).set(mockRes.headers).end();
+            }
+        };
+        
+        await chatHandler(mockReq, mockRes);
+    } catch (error) {
+        console.error('Changes error:', error);
+        res.status(500).json({ error: 'Could not read change reports' });
+    }
+});
+
 // Chat API endpoint
 app.post('/api/chat', async (req, res) => {
     try {
         // Create a mock request/response object that matches Vercel's format
         const mockReq = {
             method: 'POST',
+            url: req.originalUrl,
             body: req.body,
             headers: req.headers
         };
@@ -76,8 +111,18 @@ app.post('/api/chat', async (req, res) => {
             json: (data) => {
                 res.status(mockRes.statusCode).set(mockRes.headers).json(data);
             },
+            // Streaming replies (?stream=1 or Accept: text/event-stream)
+            flushHeaders: () => {
+                res.status(mockRes.statusCode).set(mockRes.headers).flushHeaders();
+            },
+            write: (chunk) => {
+                res.write(chunk);
+            },
             end: () => {
-                res.status(mockRes.statusCode).set(mockRes.headers).end();
+                if (!res.headersSent) {
+                    res.status(mockRes.statusCode).set(mockRes.headers);
+                }
+                res.end();
             }
         };
         
@@ -88,14 +133,42 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Health check endpoint, including the chat handler's scrape health and LLM circuit state
+app.get('/health', async (req, res) => {
+    let scrape = null;
+    let llm = null;
+    try {
+        const mockReq = {
+            method: 'GET',
+            url: '/health',
+            headers: req.headers
+        };
+        
+        const mockRes = {
+            setHeader: () => {},
+            status: () => mockRes,
+            json: ({ llm: circuit = null, ...health }) => {
+                scrape = health;
+                llm = circuit;
+            },
+            end: () => {}
+        };
+        
+        await chatHandler(mockReq, mockRes);
+    } catch (error) {
+        console.error('Scrape health error:', error);
+    }
+    
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
         environment: {
-            GEMINI_API_KEY: process.env.GEMINI_API_KEY ? '✓ Set' : '✗ Missing'
-        }
+            GEMINI_API_KEY: process.env.GEMINI_API_KEY ? '✓ Set' : '✗ Missing',
+            LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
+            EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'gemini'
+        },
+        scrape,
+        llm
     });
 });
 
@@ -104,15 +177,19 @@ app.listen(PORT, () => {
     console.log(`📱 Open http://localhost:${PORT} to test the chatbot UI`);
     console.log(`🔍 Health check: http://localhost:${PORT}/health`);
     console.log(`🔥 Warmup endpoint: http://localhost:${PORT}/warmup`);
+    console.log(`🧾 Change reports: http://localhost:${PORT}/changes`);
     console.log('');
     console.log('Environment Status:');
     console.log(`  GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? '✓ Set' : '✗ Missing'}`);
+    console.log(`  LLM_PROVIDER: ${process.env.LLM_PROVIDER || 'gemini'}`);
+    console.log(`  EMBEDDING_PROVIDER: ${process.env.EMBEDDING_PROVIDER || 'gemini'}`);
     
-    if (!process.env.GEMINI_API_KEY) {
+    const needsGeminiKey = [process.env.LLM_PROVIDER, process.env.EMBEDDING_PROVIDER].some(name => !name || name === 'gemini');
+    if (needsGeminiKey && !process.env.GEMINI_API_KEY) {
         console.log('\n⚠️  Warning: GEMINI_API_KEY not set. Set it with:');
         console.log('   set GEMINI_API_KEY=your_key_here');
     } else {
-        console.log('\n✅ Ready to go! Using Gemini for both chat and embeddings.');
+        console.log(`\n✅ Ready to go! Using ${process.env.LLM_PROVIDER || 'gemini'} for chat and ${process.env.EMBEDDING_PROVIDER || 'gemini'} for embeddings.`);
         
         // Auto-trigger warmup after server starts
         setTimeout(async () => {
@@ -0,0 +1,41 @@
+// Portfolio config loading (lib/config.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const baseConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'portfolio.config.json'), 'utf8'));
+
+function loadWith(sections) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-config-'));
+  const filePath = path.join(dir, 'portfolio.config.json');
+  try {
+    fs.writeFileSync(filePath, JSON.stringify({ ...baseConfig, sections }));
+    return loadConfig({ filePath, env: {} });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('the shipped config loads with its sources and section weights', () => {
+  const config = loadConfig({ env: {} });
+  assert.equal(config.baseUrl, 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/');
+  assert.equal(config.sections.find(section => section.name === 'about').weight, 1.2);
+  assert.equal(config.sections.find(section => section.name === 'education').weight, 1);
+});
+
+test('section anchors come from the configured anchor, the selector id, then the name', () => {
+  const config = loadWith([
+    { name: 'about', selector: 'main section#about-me, .about' },
+    { name: 'skills', selector: '.skills-grid' },
+    { name: 'projects', selector: '#projects', anchor: 'work' }
+  ]);
+  assert.deepEqual(config.sections.map(section => section.anchor), ['about-me', 'skills', 'work']);
+});
+
+test('an anchor that is not an element id is rejected', () => {
+  assert.throws(() => loadWith([{ name: 'about', selector: '#about', anchor: 'about me' }]), /sections\[0\]\.anchor must be an element id/);
+});
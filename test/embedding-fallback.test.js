@@ -0,0 +1,83 @@
+// chat-enhanced when the embedding API fails: the local provider takes over for chunks and queries
+// (the portfolio page is served from the fixture, the embedding endpoint fails document batches)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const portfolioHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'portfolio.html'), 'utf8');
+
+let server;
+let tmpDir;
+let handler;
+let batchRequests = 0;
+
+test.before(async () => {
+  // Scrape and embedding failure logs would interleave with the test runner's output
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+
+  server = http.createServer(async (req, res) => {
+    if (req.url === '/Ahmed-Hazem-Portfolio/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(portfolioHtml);
+    }
+    if (req.url !== '/v1/embeddings') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'Not Found' }));
+    }
+
+    // Document batches fail, single queries still get a vector
+    let body = '';
+    for await (const part of req) body += part;
+    const { input } = JSON.parse(body);
+    if (Array.isArray(input)) {
+      batchRequests++;
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'unavailable' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: [{ embedding: [1, 0, 0, 0] }] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-chat-'));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    EMBEDDING_PROVIDER: 'openai',
+    EMBEDDING_BASE_URL: `${origin}/v1`,
+    PORTFOLIO_URL: `${origin}/Ahmed-Hazem-Portfolio/`,
+    GITHUB_API_URL: origin,
+    SNAPSHOT_DIR: path.join(tmpDir, 'snapshots'),
+    VECTOR_STORE_PATH: path.join(tmpDir, 'vector-store.json')
+  });
+
+  handler = require('../api/chat-enhanced');
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('answers from locally embedded chunks when the embedding API throws', async () => {
+  const body = await new Promise((resolve, reject) => {
+    const res = {
+      setHeader() {},
+      status() { return res; },
+      json: resolve,
+      end: () => resolve(null)
+    };
+    handler({ method: 'POST', headers: {}, body: { message: 'What projects has Ahmed built?' } }, res).catch(reject);
+  });
+
+  assert.ok(batchRequests > 0);
+  assert.equal(body.reply, 'Mock reply to: What projects has Ahmed built?');
+  assert.equal(body.degraded, false);
+  assert.ok(body.debug.chunksUsed > 0);
+});
@@ -0,0 +1,63 @@
+// extractEntities on the portfolio page fixture (test/fixtures/portfolio.html)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { extractEntities, entityToText, chunkEntities } = require('../lib/extractor');
+
+const BASE_URL = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'portfolio.html'), 'utf8');
+
+const entities = extractEntities(cheerio.load(html), { baseUrl: BASE_URL });
+
+test('every project card becomes a project record', () => {
+  assert.deepEqual(entities.projects.map(project => project.id), [
+    'waste-detection-with-yolo',
+    'land-type-classification',
+    'covid-19-x-ray-detection'
+  ]);
+
+  const [waste] = entities.projects;
+  assert.equal(waste.title, 'Waste Detection with YOLO');
+  assert.equal(waste.summary, 'Object detection model that finds and classifies waste in images.');
+  assert.deepEqual(waste.technologies, ['Python', 'YOLO']);
+  assert.deepEqual(waste.links, { repo: 'https://github.com/ahmed-hazem-1/Waste-Detection-YOLO', demo: null });
+  assert.deepEqual(waste.image, { src: `${BASE_URL}images/waste.jpg`, alt: 'Waste detection results' });
+});
+
+test('technologies fall back to a "Built with:" list in the text', () => {
+  assert.deepEqual(entities.projects[2].technologies, ['Python', 'Deep Learning']);
+});
+
+test('experience splits "Role at Org" titles and reads an explicit organization', () => {
+  assert.deepEqual(entities.experience.map(({ role, org }) => ({ role, org })), [
+    { role: 'Computer Vision Trainee', org: 'NTI' },
+    { role: 'AI & Data Science Trainee', org: 'DEPI' }
+  ]);
+  assert.deepEqual(entities.experience[1].bullets, ['Machine learning and data analysis track.']);
+});
+
+test('education and certificates keep their institution, issuer and link', () => {
+  assert.equal(entities.education[0].degree, 'B.Sc. Computer Science and Artificial Intelligence');
+  assert.equal(entities.education[0].institution, 'Benha Faculty');
+
+  assert.deepEqual(entities.certificates.map(({ title, issuer, url }) => ({ title, issuer, url })), [
+    { title: 'NVIDIA Deep Learning', issuer: 'NVIDIA', url: `${BASE_URL}certificates/nvidia.pdf` },
+    { title: 'ITIDA Innovation', issuer: 'ITIDA', url: null }
+  ]);
+});
+
+test('missing sections give empty lists', () => {
+  const empty = extractEntities(cheerio.load('<main><section id="about"><p>Hi</p></section></main>'), { baseUrl: BASE_URL });
+  assert.deepEqual(empty, { projects: [], experience: [], education: [], certificates: [] });
+});
+
+test('entity chunks carry their text and entity reference', () => {
+  const chunks = chunkEntities('projects', entities.projects);
+  assert.equal(chunks.length, 3);
+  assert.deepEqual(chunks[0].entity, { type: 'project', id: 'waste-detection-with-yolo' });
+  assert.equal(chunks[0].content, entityToText(entities.projects[0]));
+  assert.match(chunks[0].content, /^Project: Waste Detection with YOLO\. .* Technologies: Python, YOLO\. Repository: https:\/\/github\.com\//);
+});
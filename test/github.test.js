@@ -0,0 +1,123 @@
+// GitHub adapter against a local stand-in API serving recorded responses (test/fixtures/github/api.json)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadGitHubRepos, chunkRepos } = require('../lib/github');
+const { loadConfig } = require('../lib/config');
+const recorded = require('./fixtures/github/api.json');
+
+const OWNER = 'ahmed-hazem-1';
+
+let server;
+let apiUrl;
+const requests = [];
+
+test.before(async () => {
+  // Adapter progress logs would interleave with the test runner's output
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  server = http.createServer((req, res) => {
+    requests.push({ path: req.url, authorization: req.headers.authorization || null });
+    const body = recorded[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { message: 'Not Found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const source = repos => ({
+  type: 'github',
+  apiUrl,
+  repos: repos.map(repo => ({ repo: `${OWNER}/${repo}`, project: null }))
+});
+
+const PROJECTS = [
+  { id: 'waste-detection-with-yolo', title: 'Waste Detection with YOLO' },
+  { id: 'land-type-classification', title: 'Land Type Classification' },
+  { id: 'covid-19-x-ray-detection', title: 'COVID-19 X-ray Detection' }
+];
+
+test('repo metadata, languages and README are loaded', async () => {
+  const { repos, fetchedAt } = await loadGitHubRepos([source(['Waste-Detection-YOLO'])], { token: 'secret' });
+
+  assert.ok(fetchedAt);
+  assert.deepEqual(repos, [{
+    repo: `${OWNER}/Waste-Detection-YOLO`,
+    name: 'Waste-Detection-YOLO',
+    url: `https://github.com/${OWNER}/Waste-Detection-YOLO`,
+    description: 'Waste detection and classification with YOLO',
+    topics: ['yolo', 'object-detection', 'computer-vision'],
+    languages: ['Jupyter Notebook', 'Python'],
+    stars: 4,
+    project: null,
+    readme: 'Waste Detection with YOLO. Detects and classifies waste in images with a YOLO model. Usage. See the training notebook for details.'
+  }]);
+  assert.ok(requests.every(request => request.authorization === 'Bearer secret'));
+});
+
+test('a repo without a README is still indexed', async () => {
+  const { repos } = await loadGitHubRepos([source(['Land-Type-Classification'])], { token: null });
+  assert.equal(repos.length, 1);
+  assert.equal(repos[0].readme, '');
+  assert.deepEqual(repos[0].languages, ['Jupyter Notebook']);
+});
+
+test('a repo that fails keeps its previous record, or is skipped', async () => {
+  const stale = { repo: `${OWNER}/COVID-19-X-ray-Detection`, name: 'COVID-19-X-ray-Detection', readme: 'old' };
+
+  const kept = await loadGitHubRepos([source(['COVID-19-X-ray-Detection'])], { previous: { repos: [stale], fetchedAt: 1 }, token: null });
+  assert.deepEqual(kept.repos, [stale]);
+
+  const skipped = await loadGitHubRepos([source(['COVID-19-X-ray-Detection'])], { token: null });
+  assert.deepEqual(skipped.repos, []);
+});
+
+test('a round where every repo failed is not cached as fresh', async () => {
+  const failed = await loadGitHubRepos([source(['COVID-19-X-ray-Detection'])], { token: null });
+  assert.equal(failed.fetchedAt, null);
+
+  const before = requests.length;
+  await loadGitHubRepos([source(['COVID-19-X-ray-Detection'])], { previous: failed, maxAge: 60000, token: null });
+  assert.ok(requests.length > before);
+
+  const stale = { repos: [], fetchedAt: 1 };
+  assert.equal((await loadGitHubRepos([source(['COVID-19-X-ray-Detection'])], { previous: stale, token: null })).fetchedAt, 1);
+});
+
+test('results younger than maxAge are reused without requests', async () => {
+  const previous = { repos: [], fetchedAt: Date.now() };
+  const before = requests.length;
+  assert.equal(await loadGitHubRepos([source(['Waste-Detection-YOLO'])], { previous, maxAge: 60000 }), previous);
+  assert.equal(requests.length, before);
+});
+
+test('repo chunks link to the project with the matching name and cite the repo URL', async () => {
+  const { repos } = await loadGitHubRepos([source(['Waste-Detection-YOLO', 'Land-Type-Classification'])], { token: null });
+  const chunks = chunkRepos(repos, PROJECTS);
+
+  assert.deepEqual(chunks.map(chunk => chunk.entity), [
+    { type: 'project', id: 'waste-detection-with-yolo' },
+    { type: 'project', id: 'land-type-classification' }
+  ]);
+  assert.equal(chunks[0].heading, 'Waste Detection with YOLO (GitHub)');
+  assert.equal(chunks[0].url, `https://github.com/${OWNER}/Waste-Detection-YOLO`);
+  assert.equal(chunks[0].source, 'github');
+  assert.match(chunks[0].content, /^GitHub repository: Waste-Detection-YOLO\. Waste detection and classification with YOLO\. Topics: yolo, object-detection, computer-vision\. Languages: Jupyter Notebook, Python\. Stars: 4\. Waste Detection with YOLO\./);
+});
+
+test('a configured project id wins over name matching', () => {
+  const record = { repo: `${OWNER}/land`, name: 'land', description: null, topics: [], languages: [], stars: 0, url: 'https://github.com/x', project: 'covid-19-x-ray-detection', readme: '' };
+  assert.deepEqual(chunkRepos([record], PROJECTS)[0].entity, { type: 'project', id: 'covid-19-x-ray-detection' });
+});
+
+test('GITHUB_API_URL points the configured GitHub source at the stand-in API', () => {
+  const config = loadConfig({ env: { GITHUB_API_URL: apiUrl } });
+  const github = config.sources.find(item => item.type === 'github');
+  assert.equal(github.apiUrl, apiUrl);
+  assert.deepEqual(github.repos, []);
+});
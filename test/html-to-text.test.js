@@ -0,0 +1,50 @@
+// htmlToText against a fixture of the portfolio page markup (test/fixtures/portfolio.html)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { htmlToText } = require('../lib/html-to-text');
+
+const BASE_URL = 'https://ahmed-hazem-1.github.io/Ahmed-Hazem-Portfolio/';
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'portfolio.html'), 'utf8');
+
+const sectionText = id => htmlToText(cheerio.load(html)(`#${id}`), { baseUrl: BASE_URL });
+
+test('headings keep their level and drop icon glyphs', () => {
+  assert.match(sectionText('about'), /^## About Me\n/);
+  assert.match(sectionText('skills'), /^## Skills\n/);
+});
+
+test('list items are one per line, nested lists indented', () => {
+  assert.equal(sectionText('skills'), [
+    '## Skills',
+    '- Python',
+    '- Machine Learning',
+    '  - Computer Vision',
+    '- Data Analysis',
+    '- Web Scraping'
+  ].join('\n'));
+});
+
+test('links are written as [text](absolute url)', () => {
+  const projects = sectionText('projects');
+  assert.match(projects, /^\[GitHub\]\(https:\/\/github\.com\/ahmed-hazem-1\/Waste-Detection-YOLO\)$/m);
+  assert.match(sectionText('certificates'), /\[View certificate\]\(https:\/\/ahmed-hazem-1\.github\.io\/Ahmed-Hazem-Portfolio\/certificates\/nvidia\.pdf\)/);
+});
+
+test('adjacent inline elements are separated', () => {
+  assert.match(sectionText('projects'), /^Python YOLO$/m);
+});
+
+test('scripts, styles, navigation and buttons are dropped', () => {
+  const text = htmlToText(cheerio.load(html)('html'));
+  assert.doesNotMatch(text, /addEventListener|min-height|Theme/);
+  assert.doesNotMatch(text, /^\[About\]/m);
+  assert.match(text, /Ahmed Hazem Elabady - Junior Data Scientist from Cairo, Egypt\./);
+});
+
+test('an empty selection gives an empty string', () => {
+  assert.equal(sectionText('missing'), '');
+});
@@ -0,0 +1,30 @@
+// MMR re-ranking (lib/mmr.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectWithMMR } = require('../lib/mmr');
+
+const candidate = (index, similarity, content) => ({ index, similarity, chunk: { content } });
+
+test('the most relevant candidates are picked and near-duplicates skipped', () => {
+  const { selected } = selectWithMMR([
+    candidate(0, 0.9, 'Waste Detection with YOLO finds waste in images.'),
+    candidate(1, 0.8, 'Waste Detection with YOLO finds waste in images.'),
+    candidate(2, 0.5, 'Land Type Classification labels satellite images.')
+  ]);
+  assert.deepEqual(selected.map(item => item.index), [0, 2]);
+});
+
+test('non-finite similarities are ignored instead of blocking every pick', () => {
+  const { selected } = selectWithMMR([
+    candidate(0, NaN, 'Skills: Python, Machine Learning.'),
+    candidate(1, 0.4, 'Projects: Waste Detection with YOLO.'),
+    candidate(2, NaN, 'Contact Ahmed by email.')
+  ], { vectors: [[0, 0], [1, 0], [0, 0]] });
+  assert.deepEqual(selected.map(item => item.index), [1]);
+});
+
+test('no usable candidates select nothing', () => {
+  assert.deepEqual(selectWithMMR([candidate(0, NaN, 'x')]), { selected: [], tokensUsed: 0 });
+  assert.deepEqual(selectWithMMR([]), { selected: [], tokensUsed: 0 });
+});
@@ -0,0 +1,137 @@
+// Whole chat pipeline offline: the portfolio page and GitHub API are served from the fixtures by a
+// local server, LLM_PROVIDER=mock and EMBEDDING_PROVIDER=mock stand in for the model APIs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const portfolioHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'portfolio.html'), 'utf8');
+const githubApi = require('./fixtures/github/api.json');
+
+let server;
+let tmpDir;
+let handlers;
+
+test.before(async () => {
+  // Scrape, cache and answer logs would interleave with the test runner's output
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  server = http.createServer((req, res) => {
+    if (req.url === '/Ahmed-Hazem-Portfolio/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(portfolioHtml);
+    }
+    const body = githubApi[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { message: 'Not Found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-chat-'));
+
+  // The shipped config with the repos recorded in the GitHub fixture
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'portfolio.config.json'), 'utf8'));
+  config.sources = config.sources.map(source => (source.type === 'github'
+    ? { ...source, repos: ['ahmed-hazem-1/Waste-Detection-YOLO', 'ahmed-hazem-1/Land-Type-Classification'] }
+    : source));
+  fs.writeFileSync(path.join(tmpDir, 'portfolio.config.json'), JSON.stringify(config));
+
+  Object.assign(process.env, {
+    PORTFOLIO_CONFIG: path.join(tmpDir, 'portfolio.config.json'),
+    LLM_PROVIDER: 'mock',
+    EMBEDDING_PROVIDER: 'mock',
+    PORTFOLIO_URL: `${origin}/Ahmed-Hazem-Portfolio/`,
+    GITHUB_API_URL: origin,
+    SNAPSHOT_DIR: path.join(tmpDir, 'snapshots'),
+    VECTOR_STORE_PATH: path.join(tmpDir, 'vector-store.json')
+  });
+
+  // Handlers read their config when loaded
+  handlers = {
+    chat: require('../api/chat'),
+    enhanced: require('../api/chat-enhanced'),
+    simple: require('../api/chat-simple')
+  };
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Call a handler with a minimal serverless request and collect its JSON response
+ */
+function call(handler, { method = 'POST', url = '/api/chat', body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(key, value) { res.headers[key] = value; },
+      status(code) { res.statusCode = code; return res; },
+      json(data) { resolve({ status: res.statusCode, body: data }); },
+      end() { resolve({ status: res.statusCode, body: null }); }
+    };
+    handler({ method, url, headers: {}, body }, res).catch(reject);
+  });
+}
+
+test('chat: answers from the scraped portfolio with citations', async () => {
+  const { status, body } = await call(handlers.chat, { body: { message: 'What projects has Ahmed built?' } });
+
+  assert.equal(status, 200);
+  assert.equal(body.reply, 'Mock reply to: What projects has Ahmed built? [1]');
+  assert.equal(body.degraded, false);
+  assert.equal(body.finishReason, 'STOP');
+  assert.ok(body.citations.some(citation => citation.section === 'projects'));
+});
+
+test('enhanced: answers from embedded chunks of the scraped portfolio', async () => {
+  const { status, body } = await call(handlers.enhanced, { body: { message: 'What projects has Ahmed built?' } });
+
+  assert.equal(status, 200);
+  assert.equal(body.reply, 'Mock reply to: What projects has Ahmed built?');
+  assert.equal(body.degraded, false);
+  assert.equal(body.finishReason, 'STOP');
+  assert.ok(body.debug.chunksUsed > 0);
+  assert.ok(fs.existsSync(path.join(tmpDir, 'vector-store-chat-enhanced.json')));
+});
+
+for (const name of ['chat', 'enhanced']) {
+  test(`${name}: follow-ups are rewritten by the mock without changing the question`, async () => {
+    const history = [
+      { role: 'user', parts: [{ text: 'What projects has Ahmed built?' }] },
+      { role: 'model', parts: [{ text: 'Waste Detection with YOLO, Land Type Classification and COVID-19 X-ray Detection.' }] }
+    ];
+    const { body } = await call(handlers[name], { body: { message: 'Which languages does the waste detection repo use?', history } });
+
+    assert.equal(body.debug.rewrittenQuery, 'Which languages does the waste detection repo use?');
+    assert.equal(body.debug.rewriteMethod, 'llm');
+    assert.match(body.reply, /^Mock reply to: Which languages does the waste detection repo use\?/);
+  });
+}
+
+test('simple: regex characters in the question are matched as plain text', async () => {
+  const { status, body } = await call(handlers.simple, { body: { message: 'Does Ahmed know c++ (or Python?' } });
+  assert.equal(status, 200);
+  assert.match(body.reply, /^Mock reply to: Does Ahmed know c\+\+ \(or Python\?/);
+});
+
+test('GitHub READMEs are indexed next to the portfolio projects', async () => {
+  const { body } = await call(handlers.chat, { body: { message: 'What are the Waste-Detection-YOLO repository topics and languages?' } });
+  assert.ok(body.citations.some(citation => citation.url === 'https://github.com/ahmed-hazem-1/Waste-Detection-YOLO'));
+});
+
+test('health reports a healthy scrape of the fixture page', async () => {
+  const { status, body } = await call(handlers.chat, { method: 'GET', url: '/api/chat/health' });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'healthy');
+  assert.equal(body.snapshot.source, 'live');
+  // Each handler saves its snapshots in its own directory
+  assert.ok(fs.readdirSync(path.join(tmpDir, 'snapshots', 'chat')).length > 0);
+});